@@ -0,0 +1,77 @@
+import { tiny, defs } from "./resources.js";
+
+const { Vec } = tiny;
+
+// The field is built to scale at 2.22 feet (0.677 meters) to the world unit:
+const meters_per_unit = 0.677;
+
+// A baseball's radius, and its cross section over its mass (in units of
+// m^2/kg), which with the air's density sets how hard air pushes on it:
+const ball_radius = 0.0366 / meters_per_unit;
+const air_density = 1.225;
+const area_over_mass = 0.00426 / 0.145;
+
+const Flight_Model = (defs.Flight_Model = class Flight_Model {
+  // **Flight_Model** describes how a batted ball flies: how hard gravity pulls
+  // it (in units/s^2), how fast it comes off the bat for every mile per hour
+  // of exit velocity, and the air's drag and lift coefficients.  Drag slows
+  // the ball along its direction of travel, and the Magnus effect lifts it
+  // along its spin axis crossed with that direction; backspin carries a ball,
+  // and topspin makes it dive.
+  constructor({ name, gravity, units_per_mph, drag = 0, lift = 0 }) {
+    Object.assign(this, { name, gravity, units_per_mph, drag, lift });
+  }
+  has_air() {
+    return this.drag > 0 || this.lift > 0;
+  }
+  air_acceleration(velocity, spin_axis, spin) {
+    // air_acceleration(): The push of the air on a ball moving at "velocity"
+    // (units/s) while spinning "spin" radians per second about "spin_axis".
+    const speed = velocity.norm();
+    if (!speed) return Vec.of(0, 0, 0);
+    // Both forces go as the square of the speed, and work out to
+    // 1/2 * density * (area / mass) * coefficient * speed^2; the lift
+    // coefficient grows with the spin factor (the speed of the ball's surface
+    // over the speed of the ball), following Alan Nathan's fit to measured
+    // baseballs.
+    const push = 0.5 * air_density * area_over_mass * meters_per_unit * speed;
+    const drag = velocity.times(-push * this.drag);
+    const spin_factor = (Math.abs(spin) * ball_radius) / speed;
+    if (!this.lift || !spin_factor) return drag;
+    const lift_coefficient = this.lift / (2.32 + 0.4 / spin_factor);
+    const lift = spin_axis
+      .cross(velocity)
+      .times(Math.sign(spin) * push * lift_coefficient);
+    return drag.plus(lift);
+  }
+});
+
+// Arcade flight is how the game always played: a slow gravity, and no air, so
+// hits come off the bat slower than life to stay inside the park.
+Flight_Model.arcade = new Flight_Model({
+  name: "Arcade",
+  gravity: 9.8,
+  units_per_mph: 0.43
+});
+
+// Realistic flight uses real gravity, real exit speeds and real air, which
+// sends a 100 mph, 28 degree drive with typical backspin about 400 feet.
+Flight_Model.realistic = new Flight_Model({
+  name: "Realistic",
+  gravity: 9.81 / meters_per_unit,
+  units_per_mph: 0.44704 / meters_per_unit,
+  drag: 0.4,
+  lift: 1
+});
+
+function backspin_axis(velocity) {
+  // backspin_axis(): The axis a ball heading along "velocity" spins about
+  // when it has pure backspin; negative spin about it is topspin.
+  return velocity.cross(Vec.of(0, 1, 0)).normalized();
+}
+
+function rpm_to_radians(rpm) {
+  return (rpm * 2 * Math.PI) / 60;
+}
+
+export { meters_per_unit, Flight_Model, backspin_axis, rpm_to_radians };
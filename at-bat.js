@@ -0,0 +1,307 @@
+import { tiny } from "./resources.js";
+import {
+  Count,
+  Bases,
+  home_plate,
+  foul_tip_depth,
+  catcher_depth,
+  batted_ball_calls,
+  beyond_fence,
+  judge_batted_ball,
+  distance_from_home
+} from "./game-rules.js";
+import {
+  pitch_types,
+  release_point,
+  pitch_velocity,
+  radar_mph
+} from "./pitches.js";
+import { swing_lead, swing_timing, choose_pitch } from "./pitcher-brain.js";
+import {
+  bat_location,
+  bat_cylinder_location,
+  bat_collider,
+  contact_point,
+  swing_contact,
+  batted_ball_velocity
+} from "./batting.js";
+import { backspin_axis, rpm_to_radians } from "./aerodynamics.js";
+import { Sphere } from "./collision.js";
+import { surfaces } from "./surfaces.js";
+import { Body } from "./physics-world.js";
+
+const { Vec, Mat4 } = tiny;
+
+// The rules of each pitch, from the pitcher's hand until the umpire's call,
+// kept in one place for both the Baseball scene and the headless harness
+// (headless.js) to play by.
+
+// How big the ball is in the game, a good deal bigger than a real one so that
+// it can be seen and hit:
+const ball_size = 0.3;
+
+const At_Bat = (Base = Object) =>
+  class At_Bat extends Base {
+    // **At_Bat** adds the rules of the game's pitches to a class of game,
+    // "Base", that keeps a Physics_World in "world" holding the bat and then
+    // the ball, once it's thrown.  The game also keeps the "count", the
+    // "strike_zone", the batter's "swing_history", the "flight_model" for
+    // batted balls and the "pitch_random" stream its pitches come from, and
+    // steps the rules (see update_state()) on each of the world's steps.
+    // The ball's state is kept right on the game, for replays to save.
+    //
+    // What a game shows of each call is up to it: the methods it overrides
+    // to play sounds or draw things should call these first.
+    watch_the_ball() {
+      // watch_the_ball(): Start listening to the world for the ball meeting
+      // the bat and coming down.  The ball is swept along its last step, so
+      // that even the fastest pitch can't jump past the bat between steps:
+      this.world.on("ball hit bat", ({ body, other, time }) => {
+        if (this.ball_hit) return;
+        // Back the ball up to where it met the bat:
+        body.center = body.center_at_impact(other, time);
+        this.bat_meets_ball(body);
+      });
+      // A batted ball is judged where it first comes down, or where it hits
+      // the fence on the fly:
+      this.world.on("ball hit ground", ({ body }) => {
+        if (!this.ball_hit || this.ball_bounced) return;
+        this.ball_bounced = true;
+        this.call_batted_ball(body.center);
+      });
+      this.world.on("ball hit fence", ({ body }) => {
+        if (!this.ball_hit || this.ball_bounced) return;
+        this.ball_bounced = true;
+        this.call_batted_ball(body.center, true);
+      });
+    }
+    make_bat() {
+      return new Body(null, null, Vec.of(0.08, 0.08, 0.4));
+    }
+    make_ball() {
+      return new Body(null, null, Vec.of(1, 1, 1).times(ball_size));
+    }
+    place_bat(batter_x, swing_time) {
+      // place_bat(): Move the bat to where the batter standing at "batter_x"
+      // has it "swing_time" seconds into a swing (or null, at rest), by the
+      // world's next step, when the ball will have moved on too.  The ball is
+      // swept against the bat's move as well as its own (see move_to()).
+      const location = bat_cylinder_location(
+        bat_location(batter_x, swing_time)
+      );
+      if (!this.world.bodies.length) {
+        const bat = this.world.add(
+          this.make_bat().emplace(location, Vec.of(0, 0, 0), 0)
+        );
+        bat.name = "bat";
+        bat.collider = bat_collider(ball_size);
+      }
+      this.world.bodies[0].move_to(location);
+    }
+    release_pitch(level) {
+      // release_pitch(): Let the pitcher at "level" work the batter, and aim
+      // the pitch so that it breaks into the spot the pitcher picked.
+      // Returns the pitch's type, speed and target.
+      const { type, speed, target } = choose_pitch(
+        {
+          level,
+          balls: this.count.balls,
+          strikes: this.count.strikes,
+          swings: this.swing_history
+        },
+        this.pitch_random.next
+      );
+      const { spin, spin_axis } = pitch_types[type];
+      const pitch = this.world.add(
+        this.make_ball().emplace(
+          Mat4.translation(release_point),
+          pitch_velocity(type, release_point, target, speed),
+          spin,
+          spin_axis
+        )
+      );
+      pitch.name = "ball";
+      pitch.spin_break = pitch_types[type].break;
+      pitch.collider = new Sphere(Vec.of(0, 0, 0), ball_size);
+      Object.assign(this, {
+        pitch_type: type,
+        pitch_mph: radar_mph(speed),
+        pitch_in_zone: false,
+        pitch_swung: false,
+        ball_hit: false,
+        ball_just_hit: false,
+        ball_bounced: false,
+        ball_tipped: false,
+        landing: null,
+        contact: null
+      });
+      return { type, speed, target };
+    }
+    swing_at_pitch() {
+      // swing_at_pitch(): Any swing started before the pitch reaches the
+      // plate counts as one.
+      const pitch = this.world.bodies[1];
+      if (!pitch || this.ball_hit || pitch.center[2] >= home_plate[2]) return;
+      this.pitch_swung = true;
+      this.swing_time_to_plate =
+        (home_plate[2] - pitch.center[2]) / pitch.linear_velocity[2];
+    }
+    bat_meets_ball(ball) {
+      // bat_meets_ball(): The bat just met the ball; the hit is played out on
+      // the world's next step (see update_state()).
+      if (this.pitch_swung) this.record_swing(false);
+      this.ball_hit = this.ball_just_hit = true;
+      ball.angular_velocity = 0;
+    }
+    update_state() {
+      // update_state(): What happens to the ball on each step of the world,
+      // once the world has bounced it off anything it hit.
+      if (this.world.bodies.length < 2) return;
+      const [bat, ball] = this.world.bodies;
+
+      // Note whether the pitch passes through the strike zone on its way in:
+      if (!this.ball_hit && this.strike_zone.contains(ball.center))
+        this.pitch_in_zone = true;
+
+      if (this.ball_hit) {
+        ball.spin_break = 0;
+        // Play the hit out once, right as the bat meets the ball.  (Which way
+        // the ball is headed can't tell: one coming back off the fence is
+        // headed in towards the plate too.)
+        if (this.ball_just_hit) {
+          this.ball_just_hit = false;
+          ball.flight_model = this.flight_model;
+          ball.gravity = this.flight_model.gravity;
+          if (ball.center[2] > foul_tip_depth) {
+            // Too late to drive it; the ball just glances off the bat and
+            // carries on behind the plate:
+            this.ball_tipped = true;
+            this.ball_bounced = true;
+            this.call_foul_tip();
+            ball.bounce_off(bat, surfaces.bat);
+          } else this.drive_ball(bat, ball);
+        }
+
+        // A ball that reaches the fence on the fly is judged right there:
+        if (!this.ball_bounced && beyond_fence(ball.center)) {
+          this.ball_bounced = true;
+          this.call_batted_ball(ball.center, true);
+        }
+      }
+
+      // A batted ball is done once it leaves the park or comes to rest, and
+      // a pitch once it's in the catcher's glove:
+      const gone = this.ball_hit
+        ? ball.center.norm() >= 300
+        : ball.center.norm() >= 40 || ball.center[2] >= catcher_depth;
+      if (gone || ball.linear_velocity.every(v => Math.abs(v) < 0.5))
+        this.settle(ball);
+    }
+    drive_ball(bat, ball) {
+      // drive_ball(): How squarely and how on time the swing met the ball
+      // decides how hard, how high and which way it goes.
+      this.contact = swing_contact({
+        timing_error: this.pitch_swung
+          ? this.swing_time_to_plate - swing_lead
+          : null,
+        ...contact_point(bat.placement().times(bat.stretch), ball.center),
+        pitch_mph: this.pitch_mph
+      });
+      ball.linear_velocity = batted_ball_velocity(
+        this.contact,
+        this.flight_model.units_per_mph
+      );
+      ball.spin_axis = backspin_axis(ball.linear_velocity);
+      ball.angular_velocity = rpm_to_radians(this.contact.spin);
+      this.contact_time = this.world.t;
+    }
+    settle(ball) {
+      // settle(): Take the ball out of play, and make whatever call is still
+      // owed on it: a batted ball that left the park without coming down, one
+      // in play that's now stopped or rolled away, or a pitch that went by
+      // untouched.
+      this.world.remove(ball);
+      if (!this.ball_hit) this.call_pitch();
+      else {
+        if (!this.ball_bounced) {
+          this.ball_bounced = true;
+          this.call_batted_ball(ball.center);
+        }
+        if (this.landing) this.call_ball_in_play(ball.center);
+      }
+      this.ball_hit = this.ball_bounced = this.ball_tipped = false;
+    }
+    call_pitch() {
+      // call_pitch(): Judge a pitch that got by the batter untouched.
+      if (this.pitch_swung) {
+        this.record_swing(true);
+        this.record_call(this.count.strike(true));
+      } else if (this.pitch_in_zone) this.record_call(this.count.strike());
+      else this.record_call(this.count.ball());
+    }
+    record_swing(whiff) {
+      // record_swing(): Remember how the batter's swing at this pitch went.
+      this.swing_history = this.swing_history.slice(-4).concat({
+        type: this.pitch_type,
+        timing: swing_timing(this.swing_time_to_plate),
+        whiff
+      });
+    }
+    call_batted_ball(landing, at_fence = false) {
+      // call_batted_ball(): Judge a batted ball by where it first came down,
+      // or by where it got to the fence.  Returns the call.
+      const call = judge_batted_ball(landing, at_fence, ball_size);
+      if (call == batted_ball_calls.foul) this.record_call(this.count.foul());
+      else if (call == batted_ball_calls.home_run)
+        this.record_call(this.count.in_play(), 4);
+      else {
+        this.last_call = call;
+        // Wait for the ball to stop rolling before deciding what kind of hit
+        // it was:
+        this.landing = landing.copy();
+        this.landing_time = this.world.t;
+      }
+      return call;
+    }
+    call_foul_tip() {
+      this.record_call(this.count.foul_tip());
+    }
+    call_ball_in_play(rest) {
+      // call_ball_in_play(): Once a fair ball that stayed in the park comes
+      // to rest (or rolls away), score it by how it was hit and where it went.
+      const bases = Bases.hit_type({
+        landing: distance_from_home(this.landing),
+        hang_time: this.landing_time - this.contact_time,
+        roll_time: this.world.t - this.landing_time,
+        rest: distance_from_home(rest)
+      });
+      this.landing = null;
+      this.record_call(this.count.in_play(), bases);
+    }
+    record_call(call, bases = 0) {
+      // record_call(): Make the umpire's call, naming the hit for a ball in
+      // play ("bases" is how far the batter got, 4 for a home run).  In a
+      // full game (see game_in_progress()), also turn the end of a plate
+      // appearance into an out, or move the runners up and score the ones
+      // that make it home.
+      this.last_call =
+        call == Count.calls.in_play ? Bases.hit_names[bases] : call;
+      const game = this.game_in_progress();
+      if (!game || game.over) return;
+      if (call == Count.calls.walk) this.advance_runners(game.walk().moves);
+      else if (call == Count.calls.in_play && bases)
+        this.advance_runners(game.hit(bases).moves);
+      else if (call == Count.calls.strikeout || call == Count.calls.in_play) {
+        if (game.out()) this.clear_bases();
+      }
+    }
+    game_in_progress() {
+      // game_in_progress(): The Game (see game-rules.js) that the plate
+      // appearances count towards, if one is under way.
+      return null;
+    }
+    advance_runners(moves) {}
+    clear_bases() {}
+  };
+
+export { ball_size, At_Bat };
@@ -0,0 +1,49 @@
+import { tiny } from "./resources.js";
+import { on_dirt } from "./game-rules.js";
+import { Box, Plane } from "./collision.js";
+import { surfaces } from "./surfaces.js";
+
+const { Vec, Mat4 } = tiny;
+
+// The solid parts of the stadium, for a Physics_World (see physics-world.js)
+// to bounce balls off.  They're built to match the drawn field.
+
+// The whole field is drawn turned so that center field lies down -z:
+const stadium = Mat4.rotation(-Math.PI / 4, [0, 1, 0]).times(
+  Mat4.translation([20, 0, 20])
+);
+
+// The wall behind home plate that stops foul balls.  A pitch the batter lets
+// go by is the catcher's before it gets there (see catcher_depth):
+const backstop_location = Mat4.translation([0, -7, 20]).times(
+  Mat4.scale([20, 3, 0.5])
+);
+
+// The two arms of the outfield fence, as the "FENCE" section draws them:
+const fence_locations = [
+  stadium
+    .times(Mat4.translation([-125, -7, -64]))
+    .times(Mat4.scale([0.1, 3, 61.9])),
+  stadium
+    .times(Mat4.translation([-63, -7, -126]))
+    .times(Mat4.scale([61.9, 3, 0.1]))
+];
+
+function add_ballpark(world) {
+  // add_ballpark(): Add the ground, the outfield fence and the backstop to a
+  // world, named "ground", "fence" and "backstop" in its collision events.
+  // The ground is dirt around the bases and the mound, and grass elsewhere.
+  world.add_collider("ground", new Plane(Vec.of(0, 1, 0), -10), point =>
+    on_dirt(point) ? surfaces.dirt : surfaces.grass
+  );
+  for (let location of fence_locations)
+    world.add_collider("fence", Box.from_matrix(location), surfaces.fence);
+  world.add_collider(
+    "backstop",
+    Box.from_matrix(backstop_location),
+    surfaces.wall
+  );
+  return world;
+}
+
+export { stadium, backstop_location, fence_locations, add_ballpark };
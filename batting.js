@@ -0,0 +1,192 @@
+import { tiny } from "./resources.js";
+import { Capsule } from "./collision.js";
+
+const { Vec, Mat4 } = tiny;
+
+// How far off a swing's timing can be (in seconds, either way) before the bat
+// gets nothing on the ball, and how far the ball can sit above or below the
+// bat's axis (in world units) and still be struck:
+const timing_window = 0.35;
+const contact_height = 0.7;
+
+// A swing lasts this many seconds, from the batter's first move until the
+// bat comes back to rest.  The bat starts up at the batter's shoulders and
+// comes down this far to swing level through the strike zone:
+const swing_duration = Math.PI / 4;
+const swing_drop = 2.4;
+
+function batter_location(batter_x, swing_time = null) {
+  // batter_location(): Where the batter stands, at "batter_x" beside the
+  // plate, turning with the swing "swing_time" seconds into it (or null when
+  // not swinging).
+  let batter = Mat4.translation([batter_x, -6, 3]).times(
+    Mat4.rotation(-1, Vec.of(0, 1, 0))
+  );
+  if (swing_time != null && swing_time < swing_duration)
+    batter = batter.times(
+      Mat4.rotation(-0.1 - 1 * Math.cos(swing_time * 8.1), Vec.of(0, 1, 0))
+    );
+  return batter;
+}
+
+function bat_location(batter_x, swing_time = null) {
+  // bat_location(): Where the bat is drawn in the batter's hands.  The first
+  // part of a swing brings it around to the plate, and the rest follows
+  // through.  The bat comes down swing_drop as it's brought around, and
+  // back up at the end of the follow through:
+  const drop =
+    swing_time == null
+      ? 0
+      : swing_drop *
+        Math.max(
+          0,
+          Math.min(
+            swing_time / (Math.PI / 40),
+            1,
+            (swing_duration - swing_time) / 0.2
+          )
+        );
+  let bat = Mat4.translation([0, -drop, 0])
+    .times(batter_location(batter_x, swing_time))
+    .times(Mat4.translation([0, -1.2, -2]));
+  if (swing_time == null || swing_time >= swing_duration)
+    bat = bat.times(Mat4.translation([0, 1.2, 2]));
+  else if (swing_time < Math.PI / 40)
+    bat = bat
+      .times(
+        Mat4.rotation(
+          -0.62 - 0.5 * Math.cos(swing_time * 15 + Math.PI),
+          Vec.of(1, 0, 0)
+        )
+      )
+      .times(
+        Mat4.rotation(-1.9 * Math.cos(swing_time * 15) + 2, Vec.of(0, 1, 0))
+      )
+      .times(Mat4.translation([0, 1.5, 2]));
+  else
+    bat = bat
+      .times(Mat4.rotation(-1.12, Vec.of(1, 0, 0)))
+      .times(Mat4.rotation(3.9, Vec.of(0, 1, 0)))
+      .times(
+        Mat4.rotation(
+          Math.sin((swing_time - Math.PI / 12) * 10),
+          Vec.of(1, 1, 0)
+        )
+      )
+      .times(Mat4.translation([0, 1.5, 2]));
+  return bat
+    .times(Mat4.translation([0, 1, -2]))
+    .times(Mat4.translation([0, -2.3, 0]))
+    .times(Mat4.rotation(0.5, Vec.of(1, 0, 0)))
+    .times(Mat4.rotation(-0.3, Vec.of(0, 0, 1)))
+    .times(Mat4.translation([0, 2.3, 0]))
+    .times(Mat4.scale([2.7, 1.5, 2.7]));
+}
+
+function bat_cylinder_location(bat) {
+  // bat_cylinder_location(): Where the hidden cylinder inside a bat drawn at
+  // "bat" sits, along the barrel.  The bat's collider is built around it.
+  return bat
+    .times(Mat4.translation([0, 1, 0]))
+    .times(Mat4.rotation(1.5708, Vec.of(1, 0, 0)));
+}
+
+function bat_collider(ball_radius) {
+  // bat_collider(): The bat's solid part, a capsule along its hidden cylinder
+  // reaching the length of the barrel, that a ball of "ball_radius" touches
+  // once its center comes within contact_height of the axis.
+  return new Capsule(
+    Vec.of(0, 0, -0.6),
+    Vec.of(0, 0, 0.6),
+    contact_height - ball_radius
+  );
+}
+
+function contact_point(bat_location, ball_center) {
+  // contact_point(): Where the ball met the bat's collider, a cylinder whose
+  // axis is its local z axis.  "along" is how far along the axis (-1 is the
+  // end of the barrel, 0 the sweet spot in the middle, 1 towards the handle)
+  // and "above" is how far the ball's center was above the axis.
+  const local = Mat4.inverse(bat_location).times(ball_center.to4(1));
+  const along = Math.min(Math.max(local[2], -1), 1);
+  const axis_point = bat_location.times(Vec.of(0, 0, along, 1));
+  return { along, above: ball_center[1] - axis_point[1] };
+}
+
+function swing_contact({ timing_error, along, above, pitch_mph = 80 }) {
+  // swing_contact(): How a swing met the ball.  "timing_error" is how many
+  // seconds early (positive) or late (negative) the swing was, or null for a
+  // bat that was never swung.  Returns the exit velocity in miles per hour, the
+  // launch and spray angles in degrees (up from level, and right of dead
+  // center; the right handed batter pulls early swings to the left), and the
+  // spin in rpm (positive for backspin, negative for topspin).
+  const height = Math.min(Math.max(above / contact_height, -1), 1);
+  // Getting under the ball lifts it and puts backspin on it, and getting on
+  // top of it beats it into the ground with topspin:
+  const launch_angle = 12 + 45 * height;
+  const spin = 800 + 2400 * height;
+  // A bat that's held still just deadens the ball, like a bunt:
+  if (timing_error == null)
+    return { exit_velocity: 30, launch_angle, spray_angle: 0, spin };
+
+  // Catching the ball square on the sweet spot, right on time, hits it
+  // hardest.  A swing more than the whole window off is as off as it gets:
+  const timing = Math.min(Math.max(timing_error / timing_window, -1), 1);
+  const quality =
+    Math.max(0, 1 - timing * timing) *
+    (1 - 0.5 * along * along) *
+    (1 - 0.4 * height * height);
+  const exit_velocity = 45 + quality * (60 + 0.2 * (pitch_mph - 80));
+  // The bat comes around fast, so even a little early or late sends the
+  // ball well off to one side, and foul past a quarter of the window:
+  const spray_angle = -timing * 180;
+  return { exit_velocity, launch_angle, spray_angle, spin };
+}
+
+function batted_ball_velocity(
+  { exit_velocity, launch_angle, spray_angle },
+  units_per_mph
+) {
+  // batted_ball_velocity(): Turn a contact into the ball's velocity, heading
+  // out towards center field (-z) turned by the spray angle.  How many world
+  // units per second each mile per hour is worth depends on the flight model.
+  const speed = exit_velocity * units_per_mph;
+  const [launch, spray] = [launch_angle, spray_angle].map(
+    degrees => (degrees * Math.PI) / 180
+  );
+  const level = speed * Math.cos(launch);
+  return Vec.of(
+    level * Math.sin(spray),
+    speed * Math.sin(launch),
+    -level * Math.cos(spray)
+  );
+}
+
+function radar_readout({ exit_velocity, launch_angle, spray_angle }) {
+  // radar_readout(): A short line reporting a contact, like a stadium board.
+  const spray = Math.round(spray_angle);
+  const direction = spray < 0 ? -spray + " L" : spray > 0 ? spray + " R" : "C";
+  return (
+    "Exit " +
+    Math.round(exit_velocity) +
+    " mph, " +
+    Math.round(launch_angle) +
+    " deg, " +
+    direction
+  );
+}
+
+export {
+  timing_window,
+  contact_height,
+  swing_duration,
+  swing_drop,
+  batter_location,
+  bat_location,
+  bat_cylinder_location,
+  bat_collider,
+  contact_point,
+  swing_contact,
+  batted_ball_velocity,
+  radar_readout
+};
@@ -0,0 +1,138 @@
+import { tiny, defs } from "./resources.js";
+import { Quaternion } from "./quaternion.js";
+
+const { Vec, Mat, Mat4 } = tiny;
+
+// Cameras like a TV broadcast's.  A scene names a handful of shots, each a
+// camera it can place wherever the action is right now, and tells the
+// director which one the game calls for; the director eases from one to the
+// next.  Cameras here are camera_transforms (camera to world, the inverse of
+// what program_state.set_camera() takes), so a camera's position is just its
+// translation.
+
+function look_from(eye, at) {
+  // look_from(): A camera at "eye" looking at "at", with up towards +y.
+  return Mat4.inverse(Mat4.look_at(eye, at, Vec.of(0, 1, 0)));
+}
+
+function blend_cameras(a, b, alpha) {
+  // blend_cameras(): A camera part way (alpha from 0 to 1) from camera a to
+  // camera b.  The positions mix and the rotations slerp, like a body being
+  // drawn between its steps, so that no frame in between shears.  Any
+  // stretch left over after the rotation (like the batter's camera has)
+  // mixes too.
+  const split = camera => {
+    const position = camera.times(Vec.of(0, 0, 0, 1)).to3();
+    const linear = Mat4.translation(position.times(-1)).times(camera);
+    const rotation = Quaternion.from_matrix(linear);
+    const stretch = rotation
+      .to_matrix()
+      .transposed()
+      .times(linear);
+    return { position, rotation, stretch };
+  };
+  const [from, to] = [split(a), split(b)];
+  return Mat4.translation(from.position.mix(to.position, alpha))
+    .times(from.rotation.slerp(to.rotation, alpha).to_matrix())
+    .times(
+      Mat.from(
+        from.stretch.map((row, i) => Vec.from(row).mix(to.stretch[i], alpha))
+      )
+    );
+}
+
+function ease(x) {
+  // ease(): Start and finish a move gently (smoothstep).
+  return x * x * (3 - 2 * x);
+}
+
+const Camera_Director = (defs.Camera_Director = class Camera_Director {
+  // **Camera_Director** shows one of the "shots" it was given, which maps
+  // each shot's name to its "label", the "camera" function placing it this
+  // frame, and "ease", the seconds to take moving over to it (0 for a
+  // straight cut).  The scene calls cut() as the game moves along, and an
+  // override picked by hand wins over those until it's taken off.  It can
+  // also fly a camera path (see camera-path.js) before going back to them.
+  constructor(shots, first) {
+    Object.assign(this, { shots, shot: first });
+    this.override = null;
+    // The camera shown last frame, and the move away from "from" under way:
+    this.camera = null;
+    this.from = null;
+    this.move_length = 0;
+    this.move_left = 0;
+    // The path being flown, if any, and how many seconds along it is:
+    this.path = null;
+    this.path_time = 0;
+  }
+  showing() {
+    return this.override || this.shot;
+  }
+  cut(name) {
+    // cut(): Go to the shot the game calls for, if it isn't there already.
+    if (name == this.shot) return;
+    const before = this.showing();
+    this.shot = name;
+    if (this.showing() != before && !this.path) this.move();
+  }
+  choose(name) {
+    // choose(): Override the game's shots with one picked by hand, or go back
+    // to following the game with null.  Either cuts a path short.
+    const before = this.showing();
+    this.override = name;
+    if (this.showing() != before || this.path) this.move();
+    this.path = null;
+  }
+  next_override() {
+    // next_override(): Step the override through every shot and then back
+    // to following the game.
+    const names = [null, ...Object.keys(this.shots)];
+    this.choose(names[(names.indexOf(this.override) + 1) % names.length]);
+  }
+  jump(name) {
+    // jump(): Go straight to a shot the game calls for, with no move, like
+    // at the start of a game.
+    Object.assign(this, { shot: name, from: null, move_left: 0, path: null });
+  }
+  play(path, blend = 0.5) {
+    // play(): Fly along a path, moving onto it from the camera shown now
+    // over "blend" seconds, and then move back to the shots.
+    Object.assign(this, { path, path_time: 0 });
+    this.from = blend ? this.camera : null;
+    this.move_length = this.move_left = blend;
+  }
+  move() {
+    // move(): Start moving from the camera shown now to the new shot.
+    this.from = this.camera;
+    this.move_length = this.move_left = this.shots[this.showing()].ease;
+  }
+  update(real_dt) {
+    // update(): Move on by "real_dt" seconds of real (not game) time, so that
+    // moves take as long in slow motion.  Returns the camera to show.
+    let camera = this.shots[this.showing()].camera();
+    if (this.path) {
+      this.path_time += real_dt;
+      if (this.path_time < this.path.duration())
+        camera = this.path.camera(this.path_time);
+      else {
+        this.path = null;
+        this.move();
+      }
+    }
+    this.move_left = Math.max(this.move_left - real_dt, 0);
+    this.camera =
+      this.from && this.move_left > 0
+        ? blend_cameras(
+            this.from,
+            camera,
+            ease(1 - this.move_left / this.move_length)
+          )
+        : camera;
+    return this.camera;
+  }
+  label() {
+    return this.shots[this.showing()].label + (this.override ? "" : " (auto)");
+  }
+});
+
+export { look_from, blend_cameras, Camera_Director };
@@ -0,0 +1,67 @@
+import { defs } from "./resources.js";
+import { look_from } from "./camera-director.js";
+
+// Camera moves planned ahead of time, like a flyover of the stadium: a few
+// keyframes, each an eye position and a point to look at by a given time,
+// joined up by smooth curves.
+
+function catmull_rom(p0, p1, p2, p3, u) {
+  // catmull_rom(): The point u (from 0 to 1) of the way from p1 to p2 along
+  // a Catmull-Rom spline, which passes through every key, heading from p0
+  // towards p3 as it goes.
+  return p1
+    .times(2)
+    .plus(p2.minus(p0).times(u))
+    .plus(
+      p0
+        .times(2)
+        .minus(p1.times(5))
+        .plus(p2.times(4))
+        .minus(p3)
+        .times(u * u)
+    )
+    .plus(
+      p1
+        .times(3)
+        .minus(p0)
+        .minus(p2.times(3))
+        .plus(p3)
+        .times(u * u * u)
+    )
+    .times(0.5);
+}
+
+const Camera_Path = (defs.Camera_Path = class Camera_Path {
+  // **Camera_Path** flies a camera through "keys", each an "eye" and an "at"
+  // point (see look_from()) to reach by "time" seconds from the start, in
+  // order.  The eye and the point it looks at each follow a Catmull-Rom
+  // spline through their keys.  With "ease", the path starts and finishes
+  // gently instead of keeping to the keys' times all the way.
+  constructor(keys, ease = true) {
+    Object.assign(this, { keys, ease });
+  }
+  duration() {
+    return this.keys[this.keys.length - 1].time;
+  }
+  point(name, time) {
+    // point(): Where the "eye" or the "at" point is at "time" on the path.
+    // The first and last keys count twice, so the curve ends on them.
+    const keys = this.keys,
+      last = keys.length - 1;
+    let i = 0;
+    while (i < last - 1 && time > keys[i + 1].time) i++;
+    const key = j => keys[Math.min(Math.max(j, 0), last)][name];
+    const length = keys[i + 1].time - keys[i].time;
+    const u = Math.min(Math.max((time - keys[i].time) / length, 0), 1);
+    return catmull_rom(key(i - 1), key(i), key(i + 1), key(i + 2), u);
+  }
+  camera(time) {
+    // camera(): The camera (a camera_transform) "time" seconds along.
+    const end = this.duration();
+    let x = Math.min(Math.max(time / end, 0), 1);
+    if (this.ease) x = x * x * (3 - 2 * x);
+    return look_from(this.point("eye", x * end), this.point("at", x * end));
+  }
+});
+
+export { catmull_rom, Camera_Path };
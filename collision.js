@@ -0,0 +1,299 @@
+import { tiny, defs } from "./resources.js";
+
+const { Vec } = tiny;
+
+// Collision shapes, in world units.  Each can be placed() by a matrix holding
+// a rotation and translation, and can find the nearest() point on its surface
+// to any point p: that point, the outward normal there, and how far p is from
+// the surface (negative when p is inside).  collide() uses those to find
+// where two shapes touch.
+
+function closest_on_segment(a, b, p) {
+  // closest_on_segment(): The point on segment ab nearest to p.
+  const ab = b.minus(a);
+  const length_squared = ab.dot(ab);
+  if (!length_squared) return a.copy();
+  const t = Math.min(Math.max(p.minus(a).dot(ab) / length_squared, 0), 1);
+  return a.plus(ab.times(t));
+}
+
+const Sphere = (defs.Sphere = class Sphere {
+  constructor(center, radius) {
+    Object.assign(this, { center, radius });
+  }
+  placed(matrix) {
+    return new Sphere(matrix.times(this.center.to4(1)).to3(), this.radius);
+  }
+  nearest(p) {
+    const offset = p.minus(this.center),
+      length = offset.norm();
+    const normal = length ? offset.times(1 / length) : Vec.of(0, 1, 0);
+    return {
+      point: this.center.plus(normal.times(this.radius)),
+      normal,
+      distance: length - this.radius
+    };
+  }
+});
+
+const Capsule = (defs.Capsule = class Capsule {
+  // **Capsule** is every point within "radius" of the segment from a to b: a
+  // cylinder with rounded ends, like a bat.
+  constructor(a, b, radius) {
+    Object.assign(this, { a, b, radius });
+  }
+  placed(matrix) {
+    return new Capsule(
+      matrix.times(this.a.to4(1)).to3(),
+      matrix.times(this.b.to4(1)).to3(),
+      this.radius
+    );
+  }
+  nearest(p) {
+    return new Sphere(
+      closest_on_segment(this.a, this.b, p),
+      this.radius
+    ).nearest(p);
+  }
+});
+
+const Box = (defs.Box = class Box {
+  // **Box** is an oriented box: its center, three unit "axes", and how far it
+  // reaches along each of them ("half_sizes").
+  constructor(center, axes, half_sizes) {
+    Object.assign(this, { center, axes, half_sizes });
+  }
+  static from_matrix(matrix) {
+    // from_matrix(): The box a Cube shape covers when drawn with "matrix",
+    // which should scale the cube without shearing it.
+    const columns = [0, 1, 2].map(i =>
+      Vec.of(matrix[0][i], matrix[1][i], matrix[2][i])
+    );
+    return new Box(
+      matrix.times(Vec.of(0, 0, 0, 1)).to3(),
+      columns.map(column => column.normalized()),
+      Vec.from(columns.map(column => column.norm()))
+    );
+  }
+  placed(matrix) {
+    return new Box(
+      matrix.times(this.center.to4(1)).to3(),
+      this.axes.map(axis => matrix.times(axis.to4(0)).to3()),
+      this.half_sizes
+    );
+  }
+  corners() {
+    const corners = [];
+    for (let i = 0; i < 8; i++)
+      corners.push(
+        this.axes.reduce(
+          (corner, axis, j) =>
+            corner.plus(
+              axis.times(this.half_sizes[j] * (i & (1 << j) ? 1 : -1))
+            ),
+          this.center
+        )
+      );
+    return corners;
+  }
+  nearest(p) {
+    const offset = p.minus(this.center);
+    const local = this.axes.map(axis => axis.dot(offset));
+    const outside = local.some((x, i) => Math.abs(x) > this.half_sizes[i]);
+    if (outside) {
+      // Clamp p onto the box:
+      const point = this.axes.reduce(
+        (point, axis, i) =>
+          point.plus(
+            axis.times(
+              Math.min(
+                Math.max(local[i], -this.half_sizes[i]),
+                this.half_sizes[i]
+              )
+            )
+          ),
+        this.center
+      );
+      const distance = p.minus(point).norm();
+      return { point, normal: p.minus(point).times(1 / distance), distance };
+    }
+    // Inside, the nearest way out is through whichever face is closest:
+    let face = 0;
+    for (let i = 1; i < 3; i++)
+      if (
+        this.half_sizes[i] - Math.abs(local[i]) <
+        this.half_sizes[face] - Math.abs(local[face])
+      )
+        face = i;
+    const depth = this.half_sizes[face] - Math.abs(local[face]);
+    const normal = this.axes[face].times(local[face] < 0 ? -1 : 1);
+    return { point: p.plus(normal.times(depth)), normal, distance: -depth };
+  }
+});
+
+const Plane = (defs.Plane = class Plane {
+  // **Plane** is the solid half space below the plane of points p where
+  // normal.dot(p) equals "offset", like the ground.
+  constructor(normal, offset) {
+    Object.assign(this, { normal: normal.normalized(), offset });
+  }
+  placed(matrix) {
+    const normal = matrix.times(this.normal.to4(0)).to3();
+    const point = matrix.times(this.normal.times(this.offset).to4(1)).to3();
+    return new Plane(normal, normal.normalized().dot(point));
+  }
+  nearest(p) {
+    const distance = this.normal.dot(p) - this.offset;
+    return {
+      point: p.minus(this.normal.times(distance)),
+      normal: this.normal,
+      distance
+    };
+  }
+});
+
+function touch(center, radius, shape) {
+  // touch(): The contact between a sphere and any shape, if they overlap.
+  const { point, normal, distance } = shape.nearest(center);
+  const depth = radius - distance;
+  return depth > 0 ? { point, normal, depth } : null;
+}
+
+function deepest_along(a, b, shape) {
+  // deepest_along(): How far along segment ab (from 0 at a to 1 at b) it
+  // reaches furthest into (or nearest to) a shape.  The distance from a convex
+  // shape only ever falls then rises along a segment, so a golden section
+  // search finds it.
+  const ratio = (Math.sqrt(5) - 1) / 2;
+  const distance = t => shape.nearest(a.mix(b, t)).distance;
+  let [low, high] = [0, 1];
+  for (let i = 0; i < 40; i++) {
+    const left = high - ratio * (high - low),
+      right = low + ratio * (high - low);
+    if (distance(left) < distance(right)) high = right;
+    else low = left;
+  }
+  // The search can't quite reach the ends of the segment, so check those too:
+  return [0, (low + high) / 2, 1].reduce((best, t) =>
+    distance(t) < distance(best) ? t : best
+  );
+}
+
+function time_of_impact(from, to, radius, shape) {
+  // time_of_impact(): Sweep a sphere of "radius" in a straight line from
+  // point "from" to point "to", and find how far along (from 0 to 1) it first
+  // touches a shape, or null if it never does.  Checking only where the
+  // sphere starts and ends would let a fast one pass right through a thin
+  // shape.  The gap only shrinks on the way to the deepest point, so
+  // bisecting up to there finds where it first closes.
+  const gap = t => shape.nearest(from.mix(to, t)).distance - radius;
+  // A sphere starting within a hair of the shape (like a ball resting on the
+  // ground, which rounding can leave just above it) is touching already:
+  const start = gap(0);
+  if (start <= 1e-4) return 0;
+  // The gap can't close by more than the sphere moves, so one starting
+  // farther away than that can't get there this time:
+  if (start > to.minus(from).norm()) return null;
+  const deepest = deepest_along(from, to, shape);
+  if (gap(deepest) > 0) return null;
+  let [low, high] = [0, deepest];
+  for (let i = 0; i < 40; i++) {
+    const middle = (low + high) / 2;
+    if (gap(middle) > 0) low = middle;
+    else high = middle;
+  }
+  return high;
+}
+
+function box_plane(box, plane) {
+  // box_plane(): A box touches the ground at whichever of its corners are
+  // under it.
+  const under = box
+    .corners()
+    .map(corner => ({ corner, depth: plane.offset - plane.normal.dot(corner) }))
+    .filter(({ depth }) => depth > 0);
+  if (!under.length) return null;
+  const point = under
+    .reduce((sum, { corner }) => sum.plus(corner), Vec.of(0, 0, 0))
+    .times(1 / under.length);
+  return {
+    point: plane.nearest(point).point,
+    normal: plane.normal,
+    depth: Math.max(...under.map(({ depth }) => depth))
+  };
+}
+
+function box_box(a, b) {
+  // box_box(): The separating axis test.  Two boxes overlap unless some axis
+  // (a face normal of either, or a cross product of an edge of each) has
+  // their shadows on it apart; otherwise they're pushed apart along the axis
+  // where the shadows overlap least.
+  const between = a.center.minus(b.center);
+  const axes = [...a.axes, ...b.axes];
+  for (let i of a.axes)
+    for (let j of b.axes) {
+      const axis = i.cross(j);
+      if (axis.norm() > 1e-6) axes.push(axis.normalized());
+    }
+  let best = null;
+  for (let axis of axes) {
+    const reach = box =>
+      box.axes.reduce(
+        (sum, box_axis, i) =>
+          sum + box.half_sizes[i] * Math.abs(box_axis.dot(axis)),
+        0
+      );
+    const depth = reach(a) + reach(b) - Math.abs(between.dot(axis));
+    if (depth <= 0) return null;
+    if (!best || depth < best.depth)
+      best = {
+        normal: between.dot(axis) < 0 ? axis.times(-1) : axis,
+        depth
+      };
+  }
+  // Take the corner of a reaching deepest into b, back out on b's surface:
+  const corner = a
+    .corners()
+    .reduce((deepest, corner) =>
+      corner.dot(best.normal) < deepest.dot(best.normal) ? corner : deepest
+    );
+  return { ...best, point: corner.plus(best.normal.times(best.depth)) };
+}
+
+const shape_order = [Sphere, Capsule, Box, Plane];
+
+function collide(a, b) {
+  // collide(): Where shape a touches shape b, or null if they don't.  The
+  // contact is a point on b's surface, the normal pointing out of b towards
+  // a, and how deep the two overlap along it.
+  const rank = shape => shape_order.findIndex(type => shape instanceof type);
+  if (rank(a) > rank(b)) {
+    // Test the other way around, then take the point back onto b's surface:
+    const contact = collide(b, a);
+    return (
+      contact && {
+        point: contact.point.minus(contact.normal.times(contact.depth)),
+        normal: contact.normal.times(-1),
+        depth: contact.depth
+      }
+    );
+  }
+  if (a instanceof Sphere) return touch(a.center, a.radius, b);
+  if (a instanceof Capsule)
+    return touch(a.a.mix(a.b, deepest_along(a.a, a.b, b)), a.radius, b);
+  if (a instanceof Box)
+    return b instanceof Box ? box_box(a, b) : box_plane(a, b);
+  // Two planes would always overlap somewhere, but nothing solid is built
+  // out of planes facing each other:
+  return null;
+}
+
+export {
+  closest_on_segment,
+  Sphere,
+  Capsule,
+  Box,
+  Plane,
+  collide,
+  time_of_impact
+};
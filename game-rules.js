@@ -0,0 +1,370 @@
+import { tiny, defs } from "./resources.js";
+
+const { Vec, Mat4 } = tiny;
+
+// Home plate's point, where the two foul lines meet:
+const home_plate = Vec.of(0, -9.75, 1.77);
+
+// Where the bases sit on the ground, matching the "BASES AND DIRT" drawing.
+// Base 0 is home plate, and base 4 is home again for a runner that scores.
+const base_positions = [
+  Vec.of(0, -10, 1.77),
+  Vec.of(28.64, -10, -26.87),
+  Vec.of(0, -10, -55.51),
+  Vec.of(-28.64, -10, -26.87),
+  Vec.of(0, -10, 1.77)
+];
+
+// The pitcher's mound, and how far the circle of dirt around it and around
+// each base reaches:
+const pitchers_mound = Vec.of(0, -10, -26.87);
+const dirt_radius = 4.5;
+
+// The outfield fence stands where |x| - z reaches "distance", and is "top" high.
+// The foul poles sit where the foul lines meet it:
+const fence = { distance: 149, top: -4 };
+const foul_poles = [Vec.of(-75.4, -10, -73.6), Vec.of(75.4, -10, -73.6)];
+
+// A ball the bat only catches up to once it's this far back is tipped straight
+// on behind the plate instead of being hit forward:
+const foul_tip_depth = home_plate[2] + 3;
+
+// A pitch that gets by the batter is in the catcher's glove once it's this
+// far back, short of the backstop:
+const catcher_depth = home_plate[2] + 15;
+
+const batted_ball_calls = {
+  fair: "Fair ball",
+  foul: "Foul ball",
+  foul_tip: "Foul tip",
+  home_run: "Home run!"
+};
+
+function is_fair(x, z) {
+  // is_fair(): Whether a batted ball landing at (x, z) is between the foul
+  // lines, which leave home plate at 45 degrees towards first and third base.
+  return home_plate[2] - z >= Math.abs(x - home_plate[0]);
+}
+
+function on_dirt(p) {
+  // on_dirt(): Whether point p is over the dirt around a base or the mound,
+  // rather than the grass.
+  return [...base_positions, pitchers_mound].some(
+    spot => Math.hypot(p[0] - spot[0], p[2] - spot[2]) < dirt_radius
+  );
+}
+
+function beyond_fence(p) {
+  // beyond_fence(): Whether point p is out past the line of the outfield fence.
+  return Math.abs(p[0]) - p[2] >= fence.distance;
+}
+
+function judge_batted_ball(p, at_fence = false, ball_radius = 0) {
+  // judge_batted_ball(): Call a batted ball from the first point where it came
+  // down, or from where it got to the fence if it got there on the fly.  Over
+  // the fence, passing inside or outside the foul pole decides between a home
+  // run and a foul ball.  A ball off the wall is still in play, even one that
+  // clips the top: it's only over once a ball of "ball_radius" clears it.
+  if (!is_fair(p[0], p[2])) return batted_ball_calls.foul;
+  if (at_fence && p[1] - ball_radius > fence.top)
+    return batted_ball_calls.home_run;
+  return batted_ball_calls.fair;
+}
+
+function distance_from_home(p) {
+  // distance_from_home(): How far point p is from home plate along the ground.
+  return Math.hypot(p[0] - home_plate[0], p[2] - home_plate[2]);
+}
+
+function base_path_point(from, to, bases_run) {
+  // base_path_point(): Where a runner going from one base to another is after
+  // covering "bases_run" base lengths, and which way the runner is facing.
+  const leg = Math.min(from + Math.floor(bases_run), to - 1);
+  const a = base_positions[leg],
+    b = base_positions[leg + 1];
+  const along = Math.min(Math.max(bases_run - (leg - from), 0), 1);
+  const direction = b.minus(a).normalized();
+  return {
+    position: a.mix(b, along),
+    direction,
+    arrived: bases_run >= to - from
+  };
+}
+
+const Count = (defs.Count = class Count {
+  // **Count** keeps the balls and strikes of a single plate appearance.  Each
+  // of the pitch results below returns the umpire's call, which is either the
+  // pitch result itself or the end of the plate appearance (a strikeout or a
+  // walk), in which case the count starts over for the next batter.
+  constructor() {
+    this.reset();
+  }
+  reset() {
+    this.balls = 0;
+    this.strikes = 0;
+  }
+  copy() {
+    return Object.assign(new Count(), this);
+  }
+  ball() {
+    if (++this.balls < 4) return Count.calls.ball;
+    this.reset();
+    return Count.calls.walk;
+  }
+  strike(swinging = false) {
+    if (++this.strikes < 3)
+      return swinging ? Count.calls.swinging_strike : Count.calls.called_strike;
+    this.reset();
+    return Count.calls.strikeout;
+  }
+  foul() {
+    // Fouls only count as strikes until there are two of them.
+    if (this.strikes < 2) this.strikes++;
+    return Count.calls.foul;
+  }
+  foul_tip() {
+    // Unlike other fouls, a foul tip is a strike even with two strikes.
+    return this.strike() == Count.calls.strikeout
+      ? Count.calls.strikeout
+      : Count.calls.foul_tip;
+  }
+  in_play() {
+    // A fair ball ends the plate appearance no matter what the count was.
+    this.reset();
+    return Count.calls.in_play;
+  }
+  to_string() {
+    return this.balls + "-" + this.strikes;
+  }
+});
+
+Count.calls = {
+  ball: "Ball",
+  called_strike: "Strike, looking",
+  swinging_strike: "Strike, swinging",
+  foul: "Foul ball",
+  foul_tip: "Foul tip",
+  in_play: "In play",
+  strikeout: "Strikeout!",
+  walk: "Walk!"
+};
+
+const Strike_Zone = (defs.Strike_Zone = class Strike_Zone {
+  // **Strike_Zone** is the box-shaped volume hanging over home plate.  It is
+  // stored the same way as any drawn shape, as a matrix that maps the unit
+  // cube onto the zone, so that it can be drawn and tested the same way.
+  constructor(location_matrix) {
+    this.location_matrix = location_matrix;
+    this.inverse = Mat4.inverse(location_matrix);
+  }
+  contains(p) {
+    // contains(): Convert point p into the frame where the zone is the unit
+    // cube, and check it against that cube.
+    const q = this.inverse.times(p.to4(1)).to3();
+    return q.every(value => value >= -1 && value <= 1);
+  }
+});
+
+// The default zone sits over the plate at (0, -9.75, 1.77), spanning the
+// plate's width and running from the batter's knees up to the chest.
+Strike_Zone.default_location = Mat4.translation(Vec.of(0, -7.4, 1.77)).times(
+  Mat4.scale(Vec.of(1.1, 1, 1.5))
+);
+
+function ordinal(n) {
+  // ordinal(): Spell out an inning number the way a scoreboard would.
+  const suffixes = ["th", "st", "nd", "rd"];
+  const tens = n % 100;
+  return n + (suffixes[(tens - 20) % 10] || suffixes[tens] || suffixes[0]);
+}
+
+const Bases = (defs.Bases = class Bases {
+  // **Bases** keeps track of the runners on first, second and third.  Moving
+  // runners returns the runs that scored along with every runner's move as a
+  // [from, to] pair of base numbers, lead runner first and the batter (who
+  // starts from base 0) last, so the moves can be animated.
+  constructor() {
+    this.clear();
+  }
+  clear() {
+    this.occupied = [false, false, false];
+  }
+  copy() {
+    return Object.assign(new Bases(), { occupied: [...this.occupied] });
+  }
+  runner_on(base) {
+    return this.occupied[base - 1];
+  }
+  walk() {
+    // walk(): The batter takes first, and runners only move up when forced.
+    let forced = 0;
+    while (forced < 3 && this.occupied[forced]) forced++;
+    const moves = [];
+    for (let base = forced; base >= 1; base--) moves.push([base, base + 1]);
+    moves.push([0, 1]);
+    return this.move(moves);
+  }
+  hit(bases) {
+    // hit(): Every runner, batter included, moves up as many bases as the hit
+    // is worth (4 being a home run).
+    const moves = [];
+    for (let base = 3; base >= 1; base--)
+      if (this.runner_on(base)) moves.push([base, Math.min(base + bases, 4)]);
+    moves.push([0, bases]);
+    return this.move(moves);
+  }
+  move(moves) {
+    let runs = 0;
+    for (let [from, to] of moves) {
+      if (from > 0) this.occupied[from - 1] = false;
+      if (to < 4) this.occupied[to - 1] = true;
+      else runs++;
+    }
+    return { runs, moves };
+  }
+  static hit_type({ landing, hang_time, roll_time, rest }) {
+    // hit_type(): How many bases a fair ball that stays in the park is worth,
+    // from how far out it first came down ("landing") after how many seconds
+    // in the air, how many seconds it rolled after that, and how far out it
+    // ended up ("rest").  Ground balls are fielded unless they're hit hard
+    // enough to roll on deep into the outfield, and fly balls that hang long
+    // enough for an outfielder to get under are caught unless they carry to
+    // the wall.  Line drives are snagged by the infielders if they come down
+    // short of the outfield grass, and otherwise fall in, going for extra
+    // bases in the gaps or when they keep rolling.
+    if (hang_time < 1) return rest < 100 ? 0 : 1;
+    if (hang_time >= 2) return landing < 125 ? 0 : landing < 140 ? 2 : 3;
+    if (landing < 55) return 0;
+    const bases = landing < 90 ? 1 : landing < 130 ? 2 : 3;
+    return Math.min(bases + (roll_time > 6 ? 1 : 0), 3);
+  }
+});
+
+Bases.hit_names = ["Out", "Single!", "Double!", "Triple!", "Home run!"];
+
+const Game = (defs.Game = class Game {
+  // **Game** keeps the score of a full game between two teams: the inning, the
+  // outs in the current half inning, and a line score of the runs each team
+  // put up in every inning.  Team 0 is the visitor and bats in the top of each
+  // inning; team 1 is the home team and bats in the bottom.  "half" is always
+  // the index of the team at bat.
+  constructor(teams = Game.default_teams, innings = 9) {
+    Object.assign(this, { teams, innings });
+    this.inning = 1;
+    this.half = 0;
+    this.outs = 0;
+    this.over = false;
+    this.line_score = [[0], []];
+    this.bases = new Bases();
+  }
+  copy() {
+    return Object.assign(new Game(this.teams, this.innings), this, {
+      line_score: this.line_score.map(runs => [...runs]),
+      bases: this.bases.copy()
+    });
+  }
+  runs(team) {
+    return this.line_score[team].reduce((sum, runs) => sum + runs, 0);
+  }
+  score(runs = 1) {
+    this.line_score[this.half][this.inning - 1] += runs;
+    // A home team that takes the lead in its last turn at bat wins right away:
+    if (
+      this.half == 1 &&
+      this.inning >= this.innings &&
+      this.runs(1) > this.runs(0)
+    )
+      this.over = true;
+  }
+  out() {
+    // out(): Returns whether the out ended the half inning.
+    if (++this.outs < 3) return false;
+    this.end_half_inning();
+    return true;
+  }
+  walk() {
+    return this.advance(this.bases.walk());
+  }
+  hit(bases) {
+    return this.advance(this.bases.hit(bases));
+  }
+  advance(result) {
+    if (result.runs) this.score(result.runs);
+    return result;
+  }
+  end_half_inning() {
+    this.outs = 0;
+    this.bases.clear();
+    const last_inning = this.inning >= this.innings;
+    if (this.half == 0) {
+      // The home team doesn't bat in the last inning if it's already ahead:
+      if (last_inning && this.runs(1) > this.runs(0)) return (this.over = true);
+      this.half = 1;
+    } else {
+      // Tied games go to extra innings:
+      if (last_inning && this.runs(0) != this.runs(1))
+        return (this.over = true);
+      this.inning++;
+      this.half = 0;
+    }
+    this.line_score[this.half].push(0);
+  }
+  winner() {
+    return this.runs(1) > this.runs(0) ? 1 : 0;
+  }
+  simulate_half_inning(random = Math.random) {
+    // simulate_half_inning(): Play out the current half inning for a team with
+    // nobody at the plate, one batter at a time, and return the runs scored.
+    const [inning, half] = [this.inning, this.half];
+    let runs = 0;
+    while (!this.over && this.inning == inning && this.half == half) {
+      const roll = random();
+      if (roll < 0.68) this.out();
+      else if (roll < 0.77) runs += this.walk().runs;
+      else if (roll < 0.92) runs += this.hit(1).runs;
+      else if (roll < 0.96) runs += this.hit(2).runs;
+      else if (roll < 0.97) runs += this.hit(3).runs;
+      else runs += this.hit(4).runs;
+    }
+    return runs;
+  }
+  label() {
+    return (this.half ? "Bottom " : "Top ") + ordinal(this.inning);
+  }
+  outs_label() {
+    return this.outs + (this.outs == 1 ? " out" : " outs");
+  }
+  line_score_string(team) {
+    return (
+      this.teams[team].padEnd(8) +
+      this.line_score[team].join(" ") +
+      " | " +
+      this.runs(team)
+    );
+  }
+});
+
+Game.default_teams = ["Trojans", "Bruins"];
+
+export {
+  Count,
+  Strike_Zone,
+  Bases,
+  Game,
+  home_plate,
+  base_positions,
+  pitchers_mound,
+  dirt_radius,
+  fence,
+  foul_poles,
+  foul_tip_depth,
+  catcher_depth,
+  batted_ball_calls,
+  is_fair,
+  on_dirt,
+  beyond_fence,
+  judge_batted_ball,
+  distance_from_home,
+  base_path_point,
+  ordinal
+};
@@ -0,0 +1,222 @@
+import { Count, Strike_Zone, home_plate } from "./game-rules.js";
+import { release_point } from "./pitches.js";
+import { pitcher_profiles, swing_lead } from "./pitcher-brain.js";
+import { Flight_Model } from "./aerodynamics.js";
+import { Physics_World } from "./physics-world.js";
+import { add_ballpark } from "./ballpark.js";
+import { Random } from "./random.js";
+import { At_Bat } from "./at-bat.js";
+import { fileURLToPath } from "url";
+
+// Plays the game without a browser: simulated plate appearances against each
+// level's pitcher, with the same pitches, swings, physics and calls as the
+// Baseball scene, but a scripted batter at the plate and nothing drawn or
+// played.  Prints what happened as JSON.  Run it with Node from this folder:
+//
+//   node headless.js --at-bats 1000 --levels 1,2,3,4 --flight realistic
+//
+// The batter stands at --batter-x (from -6 to -2, like the J and L keys),
+// swings at the pitches headed for the strike zone except for --take of them,
+// chases --chase of the ones that aren't, and starts each swing on time give
+// or take up to --timing-error seconds.  Every level is played from the same
+// --seed (see random.js), printed with the results so that a run can be
+// played again exactly.
+const default_options = {
+  at_bats: 1000,
+  levels: [1, 2, 3, 4],
+  flight: "arcade",
+  batter_x: -4,
+  take: 0.1,
+  chase: 0.3,
+  timing_error: 0.1,
+  seed: Random.new_seed()
+};
+
+// A batted ball still rolling after this many seconds is fielded where it is:
+const longest_pitch = 60;
+
+class Headless_Game extends At_Bat() {
+  // **Headless_Game** throws one pitch at a time and plays it out by the same
+  // rules as the Baseball scene (see at-bat.js), in a Physics_World holding
+  // the ballpark, the ball and a bat that the scripted batter swings.  The
+  // pitches are drawn from the same stream of "random" as the scene's, and
+  // the batter's choices from one of their own.
+  constructor({ level, flight_model, batter, random = new Random() }) {
+    super();
+    Object.assign(this, { level, flight_model, batter });
+    this.pitch_random = random.stream("pitches");
+    this.batter_random = random.stream("batter");
+    this.count = new Count();
+    this.strike_zone = new Strike_Zone(Strike_Zone.default_location);
+    this.swing_history = [];
+    this.world = add_ballpark(new Physics_World({ gravity: 0 }));
+    this.world.on("step", () => this.update_state());
+    this.watch_the_ball();
+    this.place_bat(this.batter.batter_x, null);
+  }
+  pitch() {
+    // pitch(): Throw the next pitch and play it out until the umpire makes a
+    // call.  Returns the call, the bases the batter got on a ball in play,
+    // whether the batter swung, and the contact if the bat met the ball.
+    // A foul ball is called while it's still in the air; clear it away:
+    this.world.bodies = this.world.bodies.slice(0, 1);
+    this.result = null;
+    const { speed, target } = this.release_pitch(this.level);
+
+    // The batter reads where the pitch is headed, and times the swing off
+    // how long it will take to get there:
+    const { batter_x, take, chase, timing_error } = this.batter;
+    const swings =
+      this.batter_random.next() <
+      (this.strike_zone.contains(target) ? 1 - take : chase);
+    const swing_at = swings
+      ? this.world.t +
+        (home_plate[2] - release_point[2]) / speed -
+        swing_lead -
+        (this.batter_random.next() * 2 - 1) * timing_error
+      : Infinity;
+    let swing_start = null;
+    const start = this.world.t;
+    while (!this.result) {
+      if (swing_start == null && this.world.t >= swing_at) {
+        swing_start = this.world.t;
+        this.swing_at_pitch();
+      }
+      // Like the scene, move the bat to where it will be by the next step:
+      this.place_bat(
+        batter_x,
+        swing_start == null ? null : this.world.t + this.world.dt - swing_start
+      );
+      this.world.simulate(this.world.dt);
+      if (this.world.t - start > longest_pitch)
+        this.settle(this.world.bodies[1]);
+    }
+    return { ...this.result, swung: this.pitch_swung, contact: this.contact };
+  }
+  plate_appearance() {
+    // plate_appearance(): Pitch until the batter walks, strikes out or puts
+    // the ball in play.  Returns every pitch's result.
+    const pitches = [this.pitch()];
+    const { in_play, strikeout, walk } = Count.calls;
+    while (
+      ![in_play, strikeout, walk].includes(pitches[pitches.length - 1].call)
+    )
+      pitches.push(this.pitch());
+    return pitches;
+  }
+  record_call(call, bases = 0) {
+    super.record_call(call, bases);
+    this.result = { call, bases };
+  }
+}
+
+function summarize(plate_appearances) {
+  // summarize(): Tally a list of plate appearances (each a list of pitches)
+  // into the stats a scout would want.
+  const pitches = plate_appearances.flat();
+  const endings = plate_appearances.map(pitches => pitches[pitches.length - 1]);
+  const ended = call => endings.filter(pitch => pitch.call == call).length;
+  const hits = bases =>
+    endings.filter(
+      pitch => pitch.call == Count.calls.in_play && pitch.bases == bases
+    ).length;
+  const results = {
+    strikeouts: ended(Count.calls.strikeout),
+    walks: ended(Count.calls.walk),
+    outs: hits(0),
+    singles: hits(1),
+    doubles: hits(2),
+    triples: hits(3),
+    home_runs: hits(4)
+  };
+  const total_hits =
+    results.singles + results.doubles + results.triples + results.home_runs;
+  const at_bats = plate_appearances.length - results.walks;
+  const contacts = pitches.filter(pitch => pitch.contact);
+  const average = (list, key) =>
+    list.length
+      ? list.reduce((sum, item) => sum + item.contact[key], 0) / list.length
+      : 0;
+  const round = x => Math.round(x * 1000) / 1000;
+  return {
+    plate_appearances: plate_appearances.length,
+    pitches: pitches.length,
+    swings: pitches.filter(pitch => pitch.swung).length,
+    whiffs: pitches.filter(pitch => pitch.call == Count.calls.swinging_strike)
+      .length,
+    fouls: pitches.filter(pitch => pitch.call == Count.calls.foul).length,
+    results,
+    batting_average: round(at_bats ? total_hits / at_bats : 0),
+    home_run_rate: round(results.home_runs / plate_appearances.length),
+    strikeout_rate: round(results.strikeouts / plate_appearances.length),
+    average_exit_velocity: round(average(contacts, "exit_velocity")),
+    average_launch_angle: round(average(contacts, "launch_angle"))
+  };
+}
+
+function parse_options(args) {
+  // parse_options(): Read "--name value" pairs over the default options.
+  // Throws a message saying what's wrong with any option it can't use.
+  const options = { ...default_options };
+  for (let i = 0; i < args.length; i += 2) {
+    const name = args[i].replace(/^--/, "").replace(/-/g, "_");
+    if (!(name in options)) throw "Unknown option " + args[i];
+    const value = args[i + 1];
+    if (value == undefined) throw "No value given for " + args[i];
+    if (name == "levels") {
+      options.levels = value.split(",").map(Number);
+      if (!options.levels.every(level => level in pitcher_profiles))
+        throw "--levels are some of " +
+          Object.keys(pitcher_profiles) +
+          ", not " +
+          value;
+    } else if (name == "flight") {
+      if (value != "arcade" && value != "realistic")
+        throw "--flight is arcade or realistic, not " + value;
+      options.flight = value;
+    } else if (name == "seed") options.seed = value;
+    else {
+      options[name] = Number(value);
+      if (!Number.isFinite(options[name]))
+        throw args[i] + " takes a number, not " + value;
+    }
+  }
+  return options;
+}
+
+function run(options) {
+  // run(): Play options.at_bats plate appearances against every level.
+  const flight_model =
+    options.flight == "realistic"
+      ? Flight_Model.realistic
+      : Flight_Model.arcade;
+  const levels = {};
+  for (let level of options.levels) {
+    const game = new Headless_Game({
+      level,
+      flight_model,
+      batter: options,
+      random: new Random(options.seed)
+    });
+    const plate_appearances = [];
+    for (let i = 0; i < options.at_bats; i++)
+      plate_appearances.push(game.plate_appearance());
+    levels[level] = summarize(plate_appearances);
+  }
+  return { options, levels };
+}
+
+// Run from the command line, that is; tests.js imports it to run its own.
+// Options it can't use stop it with just the message:
+if (process.argv[1] == fileURLToPath(import.meta.url)) {
+  let options;
+  try {
+    options = parse_options(process.argv.slice(2));
+  } catch (message) {
+    console.error(message);
+    process.exit(1);
+  }
+  console.log(JSON.stringify(run(options), null, 2));
+}
+
+export { Headless_Game, summarize, parse_options, run };
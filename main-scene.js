@@ -1,4 +1,50 @@
 import { tiny, defs } from "./resources.js";
+import { At_Bat } from "./at-bat.js";
+import {
+  Count,
+  Strike_Zone,
+  Bases,
+  Game,
+  home_plate,
+  foul_poles,
+  batted_ball_calls,
+  distance_from_home,
+  base_path_point
+} from "./game-rules.js";
+import { pitch_types } from "./pitches.js";
+import {
+  swing_duration,
+  batter_location,
+  bat_location,
+  radar_readout
+} from "./batting.js";
+import { Flight_Model } from "./aerodynamics.js";
+import { integrators } from "./integrators.js";
+import { Sphere, Plane } from "./collision.js";
+import { Body, Physics_World } from "./physics-world.js";
+import { backstop_location, add_ballpark } from "./ballpark.js";
+import { Random } from "./random.js";
+import { copy_state, Recording } from "./replay.js";
+import { Slow_Motion } from "./slow-motion.js";
+import { look_from, Camera_Director } from "./camera-director.js";
+import { Camera_Path } from "./camera-path.js";
+import { light_towers, Stadium_Lights } from "./stadium-lights.js";
+import { Time_Of_Day } from "./time-of-day.js";
+import {
+  field_squares,
+  fence_panels,
+  trees,
+  stones,
+  grass_tufts
+} from "./scenery.js";
+import {
+  Post_Processing,
+  Bloom,
+  Motion_Blur,
+  Color_Grading,
+  Vignette,
+  FXAA
+} from "./post-processing.js";
 
 const {
   Vec,
@@ -10,6 +56,8 @@ const {
   Shader,
   Material,
   Texture,
+  Cube_Map,
+  Instances,
   Scene,
   Canvas_Widget,
   Code_Widget,
@@ -23,129 +71,80 @@ const {
   Capped_Cylinder,
   Text_Line,
   Shape_From_File,
-  Square
+  Square,
+  Shadow_Map
 } = defs;
 
-// Helper functions
-function getRandomInt(min, max) {
-  min = Math.ceil(min);
-  max = Math.floor(max);
-  return Math.floor(Math.random() * (max - min)) + min;
-}
-
-const Body = (defs.Body = class Body {
-  // **Body** can store and update the properties of a 3D body that incrementally
-  // moves from its previous place due to velocities.  It conforms to the
-  // approach outlined in the "Fix Your Timestep!" blog post by Glenn Fiedler.
-  constructor(shape, material, size) {
-    Object.assign(this, { shape, material, size });
-  }
-  emplace(
-    location_matrix,
-    linear_velocity,
-    angular_velocity,
-    spin_axis = Vec.of(0, 0, 0)
-      .randomized(1)
-      .normalized()
-  ) {
-    // emplace(): assign the body's initial values, or overwrite them.
-    this.center = location_matrix.times(Vec.of(0, 0, 0, 1)).to3();
-    this.rotation = Mat4.translation(this.center.times(-1)).times(
-      location_matrix
-    );
-    this.previous = {
-      center: this.center.copy(),
-      rotation: this.rotation.copy()
-    };
-    // drawn_location gets replaced with an interpolated quantity:
-    this.drawn_location = location_matrix;
-    return Object.assign(this, {
-      linear_velocity,
-      angular_velocity,
-      spin_axis
-    });
-  }
-  advance(time_amount) {
-    // advance(): Perform an integration (the simplistic Forward Euler method) to
-    // advance all the linear and angular velocities one time-step forward.
-    this.previous = {
-      center: this.center.copy(),
-      rotation: this.rotation.copy()
-    };
-    // Apply the velocities scaled proportionally to real time (time_amount):
-    // Linear velocity first, then angular:
-    this.center = this.center.plus(this.linear_velocity.times(time_amount));
-    this.rotation.pre_multiply(
-      Mat4.rotation(time_amount * this.angular_velocity, this.spin_axis)
-    );
-  }
-  blend_rotation(alpha) {
-    // blend_rotation(): Just naively do a linear blend of the rotations, which looks
-    // ok sometimes but otherwise produces shear matrices, a wrong result.
-
-    // TODO:  Replace this function with proper quaternion blending, and perhaps
-    // store this.rotation in quaternion form instead for compactness.
-    return this.rotation.map((x, i) =>
-      Vec.from(this.previous.rotation[i]).mix(x, alpha)
-    );
-  }
-  blend_state(alpha) {
-    // blend_state(): Compute the final matrix we'll draw using the previous two physical
-    // locations the object occupied.  We'll interpolate between these two states as
-    // described at the end of the "Fix Your Timestep!" blog post.
-    this.drawn_location = Mat4.translation(
-      this.previous.center.mix(this.center, alpha)
-    )
-      .times(this.blend_rotation(alpha))
-      .times(Mat4.scale(this.size));
-  }
-  // The following are our various functions for testing a single point,
-  // p, against some analytically-known geometric volume formula
-  // (within some margin of distance).
-  static intersect_cube(p, margin = 0) {
-    return p.every(value => value >= -1 - margin && value <= 1 + margin);
-  }
-  static intersect_sphere(p, margin = 0) {
-    return p.dot(p) < 1 + margin;
-  }
-  check_if_colliding(b, collider) {
-    // check_if_colliding(): Collision detection function.
-    // DISCLAIMER:  The collision method shown below is not used by anyone; it's just very quick
-    // to code.  Making every collision body an ellipsoid is kind of a hack, and looping
-    // through a list of discrete sphere points to see if the ellipsoids intersect is *really* a
-    // hack (there are perfectly good analytic expressions that can test if two ellipsoids
-    // intersect without discretizing them into points).
-    if (this == b) return false; // Nothing collides with itself.
-    // Convert sphere b to the frame where a is a unit sphere:
-    var T = this.inverse.times(b.drawn_location);
-
-    const { intersect_test, points, leeway } = collider;
-    // For each vertex in that b, shift to the coordinate frame of
-    // a_inv*b.  Check if in that coordinate frame it penetrates
-    // the unit sphere at the origin.  Leave some leeway.
-    return points.arrays.position.some(p =>
-      intersect_test(T.times(p.to4(1)).to3(), leeway)
-    );
-  }
-});
-
-class Final_Project extends Scene {
+class Final_Project extends At_Bat(Scene) {
   constructor() {
     super();
-    Object.assign(this, {
-      time_accumulator: 0,
-      time_scale: 1,
-      t: 0,
-      dt: 1 / 20,
-      bodies: [],
-      steps_taken: 0,
-      title_balls: []
+    /******************** RANDOMNESS ********************/
+
+    // Everything random in the game comes from one seed, shown in the control
+    // panel and set by adding "?seed=..." to the page's address (see
+    // random.js).  The pitches and the visitors' innings each get a stream
+    // of their own, started over with each new game:
+    this.random = Random.from_page();
+    this.title_random = this.random.stream("title");
+    this.start_random();
+
+    /******************** PHYSICS ********************/
+
+    // The game's bodies and what they run into (see physics-world.js).
+    // Pitches fly without gravity; a batted ball gets its flight model's:
+    this.world = new Physics_World({ gravity: 0 });
+    this.world.on("step", dt => this.update_state(dt));
+    // ...then take the batter's inputs and throw the next pitch:
+    this.world.on("step", () => this.play_step());
+    // ...and the rules of each pitch hear the ball meet the bat and come down
+    // (see at-bat.js):
+    this.watch_the_ball();
+    // How fast the world runs, slowing down around the plate (see
+    // slow-motion.js):
+    this.slow_motion = new Slow_Motion();
+
+    // The ground, the outfield fence and the backstop (see ballpark.js):
+    add_ballpark(this.world);
+
+    // The balls raining down on the title, win and lose screens, bouncing on
+    // a floor under the text:
+    this.title_world = new Physics_World({ gravity: 9.8 });
+    this.title_world.add_collider("floor", new Plane(Vec.of(0, 1, 0), 479), {
+      name: "Floor",
+      restitution: 0.8,
+      friction: 0,
+      rolling: 0
     });
-    this.collider = {
-      intersect_test: Body.intersect_sphere,
-      points: new defs.Subdivision_Sphere(2),
-      leeway: 0.7
-    };
+    this.title_world.on("step", () => {
+      while (this.title_world.bodies.length < 15) {
+        const ball = new Body(
+          this.shapes.ball_4,
+          this.materials.baseball,
+          Vec.of(1, 1 + this.title_random.next(), 1)
+        ).emplace(
+          Mat4.translation(
+            this.title_random.randomized(Vec.of(0, 530, -20), 10)
+          ),
+          this.title_random
+            .randomized(Vec.of(0, -1, 0), 2)
+            .normalized()
+            .times(3),
+          this.title_random.next(),
+          this.title_random.randomized(Vec.of(0, 0, 0), 1).normalized()
+        );
+        ball.collider = new Sphere(Vec.of(0, 0, 0), 1);
+        this.title_world.add(ball);
+      }
+      this.title_world.bodies = this.title_world.bodies.filter(
+        b => b.center.norm() < 530 && b.linear_velocity.norm() > 2
+      );
+    });
+
+    /******************** CAMERAS ********************/
+
+    // Picks which of the shots to show as the game goes along, and moves
+    // between them (see camera-director.js):
+    this.director = new Camera_Director(this.camera_shots(), "batter");
 
     /******************** SOUNDS ********************/
 
@@ -154,6 +153,8 @@ class Final_Project extends Scene {
       crack: new Audio("assets/crack.m4a"),
       homerun: new Audio("assets/yay.mp3"),
       no_homerun: new Audio("assets/aww.mp3"),
+      foul: new Audio("assets/foul.wav"),
+      foul_tip: new Audio("assets/foul_tip.wav"),
       minecraft: new Audio("assets/minecraft.mp3"),
       maplestory: new Audio ("assets/maplestory.m4a"),
       you_win: new Audio ("assets/youwin.mp3")
@@ -179,9 +180,12 @@ class Final_Project extends Scene {
     };
 
     /******************** ENVIRONMENT ********************/
-    const phong_shader = new defs.Phong_Shader(2);
-    const texture_shader = new defs.Textured_Phong(2);
-    const texture_shader_2 = new defs.Fake_Bump_Map(10);
+    // The field's shaders darken whatever the lights can't see (see
+    // Shadow_Map in resources.js), and take every bank of the stadium's
+    // lights as a point light:
+    const phong_shader = new defs.Shadow_Phong_Shader(3, 16);
+    const texture_shader = new defs.Shadow_Textured_Phong(3, 16);
+    const texture_shader_2 = new defs.Shadow_Fake_Bump_Map(10, 16);
     const texture = new defs.Textured_Phong(1);
     const phong = new defs.Phong_Shader(1);
     const bump = new defs.Fake_Bump_Map(1);
@@ -199,13 +203,15 @@ class Final_Project extends Scene {
         texture: new Texture("assets/baseball.jpg"),
         ambient: 1,
         diffusivity: 1,
-        specularity: 0
+        specularity: 0,
+        casts_shadow: true
       }),
       aluminum: new Material(texture_shader_2, {
         texture: new Texture("assets/aluminum.jpg"),
         ambient: 0.5,
         diffusivity: 1,
-        specularity: 0.75
+        specularity: 0.75,
+        casts_shadow: true
       }),
       grass: new Material(texture_shader_2, {
         ambient: 0.15,
@@ -223,7 +229,8 @@ class Final_Project extends Scene {
         texture: new Texture("assets/fence.jpg"),
         ambient: 0.5,
         diffusivity: 1,
-        specularity: 0
+        specularity: 0,
+        casts_shadow: true
       }),
       base: new Material(texture_shader, {
         texture: new Texture("assets/leather.jpg"),
@@ -256,36 +263,61 @@ class Final_Project extends Scene {
         diffusivity: 0,
         specularity: 0
       }),
+      // The same skies, seamless all the way around the field, each wrapped
+      // around from one panorama:
+      skybox: new Material(new defs.Skybox_Shader(), {
+        texture: new Cube_Map("assets/sky.png"),
+        night_texture: new Cube_Map("assets/nightsky.jpg"),
+        ambient: 0.75
+      }),
       light_skin: new Material(phong_shader, {
         ambient: 0.5,
         diffusivity: 0,
         specularity: 0,
-        color: Color.of(1, 0.937255, 0.835294, 1)
+        color: Color.of(1, 0.937255, 0.835294, 1),
+        casts_shadow: true
       }),
       gene: new Material(texture_shader_2, {
         texture: new Texture("assets/gene.png"),
         ambient: 0.8,
         diffusivity: 0,
-        specularity: 0
+        specularity: 0,
+        casts_shadow: true
       }),
       fur_color: new Material(texture_shader_2, {
         texture: new Texture("assets/fur.jpg"),
         ambient: 0.5,
         diffusivity: 0.8,
         specularity: 0.1,
-        color: Color.of(0.4, 0.15, 0.05, 1)
+        color: Color.of(0.4, 0.15, 0.05, 1),
+        casts_shadow: true
       }),
       shirt: new Material(phong_shader, {
         ambient: 0.5,
         diffusivity: 0.5,
         specularity: 1,
-        color: Color.of(0, 0.8, 1, 1)
+        color: Color.of(0, 0.8, 1, 1),
+        casts_shadow: true
+      }),
+      chalk: new Material(phong_shader, {
+        ambient: 0.9,
+        diffusivity: 0.2,
+        specularity: 0,
+        color: Color.of(1, 1, 1, 1)
+      }),
+      foul_pole: new Material(phong_shader, {
+        ambient: 0.6,
+        diffusivity: 0.6,
+        specularity: 0.3,
+        color: Color.of(1, 0.85, 0, 1),
+        casts_shadow: true
       }),
       black: new Material(phong_shader, {
         ambient: 0.5,
         diffusivity: 1,
         specularity: 0,
-        color: Color.of(0, 0, 0, 1)
+        color: Color.of(0, 0, 0, 1),
+        casts_shadow: true
       }),
       lights: new Material(phong_shader, {
         ambient: 1,
@@ -304,9 +336,91 @@ class Final_Project extends Scene {
         ambient: 0.5,
         diffusivity: 1,
         specularity: 0
+      }),
+      strike_zone: new Material(phong_shader, {
+        ambient: 1,
+        diffusivity: 0,
+        specularity: 0,
+        color: Color.of(1, 1, 1, 0.25)
       })
     };
 
+    /******************** LIGHTING ********************/
+
+    // The time of day at the ballpark (see time-of-day.js).  In a sunset
+    // game it follows the game along from late afternoon into the night:
+    this.clock = new Time_Of_Day(13);
+    this.sunset_game = false;
+    // The sun crosses the sky with the clock, and its shadow map covers the
+    // whole field:
+    this.sun = new Light(Vec.of(0, 1, 0, 0), Color.of(1, 1, 1, 1), 100000);
+    this.sun.shadow_map = new Shadow_Map(
+      Mat4.identity(),
+      Mat4.orthographic(-120, 120, -120, 120, 200, 600)
+    );
+    this.follow_the_sun();
+    // At night every bank of bulbs on the light towers is a light of its own,
+    // lighting a pool of the field around it (see stadium-lights.js):
+    const towers = light_towers();
+    this.floodlights = new Stadium_Lights(towers);
+    // The two towers nearest home plate also throw a beam each in at the
+    // infield, as bright as the tower's banks are, and those cast shadows:
+    this.beam_color = Color.of(0.9, 0.88, 0.8, 1);
+    this.tower_beams = towers
+      .map((tower, t) => ({
+        tower: t,
+        bulbs: tower.banks[1].bulbs[1].times(Vec.of(0, 0, 0, 1)).to3()
+      }))
+      .sort((a, b) => b.bulbs[2] - a.bulbs[2])
+      .slice(0, 2)
+      .map(({ tower, bulbs }) => {
+        const aim = Vec.of(-5 * Math.sign(bulbs[0]), -10, -35);
+        // Start just in front of the bulbs, clear of the tower:
+        const toward = aim.minus(bulbs).normalized();
+        const eye = bulbs.plus(toward.times(3));
+        const beam = new Light(eye.to4(1), Color.of(0, 0, 0, 1), 100000);
+        beam.tower = tower;
+        beam.shadow_map = new Shadow_Map(
+          Mat4.look_at(eye, aim, Vec.of(0, 1, 0)),
+          Mat4.perspective(1.6, 1, 3, 350)
+        );
+        return beam;
+      });
+    // The towers' poles and arms, and their bulbs, go to the graphics card as
+    // a batch of copies each, like the rest of the scenery below.  The
+    // bulbs' colors change as their banks come on:
+    this.tower_frames = new Instances(
+      towers.flatMap(tower => [tower.pole, ...tower.banks.map(b => b.arm)])
+    );
+    this.bulbs = new Instances(
+      towers.flatMap(tower => tower.banks.flatMap(bank => bank.bulbs))
+    );
+    // Everything else drawn over and over, all of which stays put (see
+    // scenery.js):
+    this.scenery = {
+      field: new Instances(field_squares()),
+      fence: new Instances(fence_panels()),
+      trees: new Instances(trees()),
+      grass: new Instances(grass_tufts()),
+      stones: Object.entries(stones()).map(([shape, transforms]) => ({
+        shape,
+        instances: new Instances(transforms)
+      }))
+    };
+    // Each frame is finished off by a chain of full screen effects, in this
+    // order, any of which can be turned off from the control panel (see
+    // post-processing.js):
+    this.post_effects = {
+      motion_blur: new Motion_Blur(),
+      bloom: new Bloom(),
+      grading: new Color_Grading(),
+      vignette: new Vignette(),
+      fxaa: new FXAA()
+    };
+    this.post_processing = new Post_Processing(
+      Object.values(this.post_effects)
+    );
+
     /******************** GAME LOGISTICS  ********************/
     this.game_state = {
       not_started: "NOT STARTED",
@@ -322,10 +436,20 @@ class Final_Project extends Scene {
       four: "4"
     };
 
-    this.night_time = false;
-    
+    this.game_modes = {
+      levels: "LEVELS",
+      play_ball: "PLAY BALL"
+    };
+
     this.current_game_state = this.game_state.not_started;
 
+    this.game_mode = this.game_modes.levels;
+
+    // The full game played in "Play Ball" mode, and its length in innings:
+    this.game = new Game();
+
+    this.innings = 9;
+
     this.current_game_level = this.game_level.one;
 
     this.game_score = 0;
@@ -344,77 +468,533 @@ class Final_Project extends Scene {
     this.pitch_xy = -2;
     this.curr_throw_time = 0;
     this.batter_x = -4;
-    this.toggle_swing = false;
     this.swing_bat = false;
-    this.curr_swing_time = 0;
+    this.curr_swing_time = -Infinity;
     this.ball_hit = false;
     this.ball_bounced = false;
+    // Set when the bat meets the ball, until the hit has been played out:
+    this.ball_just_hit = false;
 
     this.home_run = false;
     this.pitch_time = false;
     this.pitch_timer = 0;
+
+    /******************** BALLS AND STRIKES ********************/
+
+    this.count = new Count();
+    this.strike_zone = new Strike_Zone(Strike_Zone.default_location);
+    this.show_strike_zone = false;
+    this.pitch_swung = false;
+    this.pitch_in_zone = false;
+    this.last_call = "";
+    // Batted ball calls are also shown in front of the camera for a while,
+    // since the camera follows the ball away from the scoreboard:
+    this.batted_ball_call = "";
+    // The pitch type and radar speed of the last pitch thrown:
+    this.pitch_type = null;
+    this.pitch_mph = 0;
+    this.pitch_readout = "";
+    // The radar readout of the last ball put in play:
+    this.hit_readout = "";
+    // How batted balls fly, toggled between arcade and realistic:
+    this.flight_model = Flight_Model.arcade;
+    // The batter's last few swings, for the pitcher to learn from; for the
+    // swing on the current pitch, how long the pitch had to go when it began:
+    this.swing_history = [];
+    this.swing_time_to_plate = 0;
+    this.batted_ball_call_time = -Infinity;
+    this.ball_tipped = false;
+
+    /******************** BASERUNNERS ********************/
+
+    // When the ball was hit, and where and when a fair ball that stayed in
+    // the park first came down:
+    this.contact_time = 0;
+    this.landing = null;
+    this.landing_time = 0;
+    // The runner figures on the base paths, each one running from base
+    // "from" to base "to" since simulation time "start":
+    this.runners = [];
+    this.seconds_per_base = 1.5;
+
+    /******************** REPLAYS ********************/
+
+    // The batter's inputs, waiting for the start of the next step.  They're
+    // saved with the rest of the game's state, so that any still waiting
+    // when a replay starts are taken once the game picks up again:
+    this.inputs = [];
+    // The inputs and saved states of the game being played (see replay.js),
+    // and the replay being watched, if any:
+    this.recording = null;
+    this.replay = null;
+    // Set when a pitch is thrown, to save the game's state to replay it from:
+    this.pitch_thrown = false;
+  }
+  start_random() {
+    // start_random(): Start the pitches and the visitors' innings over from
+    // the beginning of their streams, so that every game played with the
+    // same seed goes the same way.
+    this.pitch_random = this.random.stream("pitches");
+    this.inning_random = this.random.stream("innings");
+  }
+  start_recording() {
+    // start_recording(): Start a new game's randomness over, and record the
+    // game from here.
+    this.start_random();
+    this.recording = new Recording(this.random.seed, this.save_state());
+  }
+  save_state() {
+    // save_state(): A copy of everything that decides how the game goes from
+    // here on, the world's bodies and clock included.  Only taken between
+    // steps of the world.
+    const state = {};
+    for (let key of Final_Project.state_keys)
+      state[key] = copy_state(this[key]);
+    const { t, steps_taken, time_accumulator, bodies } = this.world;
+    state.world = copy_state({ t, steps_taken, time_accumulator, bodies });
+    state.world.integrator = this.world.integrator.name;
+    return state;
+  }
+  restore_state(state) {
+    // restore_state(): Go back to a state from save_state(), which stays as
+    // it was so that it can be gone back to again.
+    const { world, ...fields } = copy_state(state);
+    Object.assign(this, fields);
+    Object.assign(this.world, world, {
+      integrator: Object.values(integrators).find(
+        integrator => integrator.name == world.integrator
+      )
+    });
+  }
+  input(input) {
+    // input(): Take one of the batter's inputs at the start of the next step
+    // of the world (see play_step()).  While a replay plays back its own
+    // inputs, the batter's are ignored.
+    if (!this.replay) this.inputs.push(input);
   }
-  /******************** COLLISION HANDLING ********************/
-  simulate(frame_time) {
-    // simulate(): Carefully advance time according to Glenn Fiedler's
-    // "Fix Your Timestep" blog post.
-    // This line gives ourselves a way to trick the simulator into thinking
-    // that the display framerate is running fast or slow:
-    frame_time = this.time_scale * frame_time;
-
-    // Avoid the spiral of death; limit the amount of time we will spend
-    // computing during this timestep if display lags:
-    this.time_accumulator += Math.min(frame_time, 0.1);
-    // Repeatedly step the simulation until we're caught up with this frame:
-    while (Math.abs(this.time_accumulator) >= this.dt) {
-      // Single step of the simulation for all bodies:
-      this.update_state(this.dt);
-      for (let b of this.bodies) b.advance(this.dt);
-      // Following the advice of the article, de-couple
-      // our simulation time from our frame rate:
-      this.t += Math.sign(frame_time) * this.dt;
-      this.time_accumulator -= Math.sign(frame_time) * this.dt;
-      this.steps_taken++;
+  take_input(input) {
+    if (input == "swing" && !this.swing_bat) this.start_swing();
+    if (input == "batter left")
+      this.batter_x = Math.max(this.batter_x - 0.5, -6);
+    if (input == "batter right")
+      this.batter_x = Math.min(this.batter_x + 0.5, -2);
+    if (input == "flight")
+      this.flight_model =
+        this.flight_model == Flight_Model.arcade
+          ? Flight_Model.realistic
+          : Flight_Model.arcade;
+    if (input == "integrator") {
+      const choices = Object.values(integrators);
+      this.world.integrator =
+        choices[(choices.indexOf(this.world.integrator) + 1) % choices.length];
     }
-    // Store an interpolation factor for how close our frame fell in between
-    // the two latest simulation time steps, so we can correctly blend the
-    // two latest states and display the result.
-    let alpha = this.time_accumulator / this.dt;
-    for (let b of this.bodies) b.blend_state(alpha);
+    if (input == "home run") this.ball_hit = this.ball_just_hit = true;
   }
+  start_swing() {
+    this.curr_swing_time = this.world.t;
+    this.swing_bat = true;
+    this.swing_at_pitch();
+  }
+  swing_time(t) {
+    // swing_time(): How many seconds into the last swing time t is, or null
+    // if it isn't during one.
+    const time = t - this.curr_swing_time;
+    return time >= 0 && time < swing_duration ? time : null;
+  }
+  play_step() {
+    // play_step(): The game's part in each step of the world, once the rules
+    // have had their say: take the batter's inputs, move the bat, and throw
+    // the next pitch when it's time.  All of it happens here, on the world's
+    // clock, so that the same inputs taken on the same steps always play out
+    // the same way.  That's what lets a replay feed its recorded inputs back
+    // in and see the game go exactly as it did.
+    const step = this.world.steps_taken;
+    const inputs = this.replay ? this.recording.inputs_at(step) : this.inputs;
+    if (!this.replay) {
+      this.inputs = [];
+      if (this.recording)
+        for (let input of inputs) this.recording.record(step, input);
+    }
+    for (let input of inputs) this.take_input(input);
+
+    // The bat moves to where the swing will have it by the world's next
+    // step (see place_bat()):
+    if (this.swing_bat && this.swing_time(this.world.t) == null)
+      this.swing_bat = false;
+    this.place_bat(
+      this.batter_x,
+      this.swing_time(this.world.t + this.world.dt)
+    );
+
+    const t = this.world.t;
+    if (this.pitch_time && this.world.bodies.length < 2) {
+      this.pitch_timer = t;
+      this.pitch_time = false;
+    }
+    // Play Ball: the visitors' half innings play out on their own between
+    // pitches, with a pause afterwards so the batter can see the score before
+    // stepping in.  Once the game is decided, go to the win or lose screen.
+    if (
+      this.current_game_state == this.game_state.started &&
+      this.game_mode == this.game_modes.play_ball &&
+      t > this.pitch_timer + 2 &&
+      this.world.bodies.length < 2
+    ) {
+      if (!this.game.over && this.game.half == 0) {
+        const half_inning = this.game.label().toLowerCase();
+        const runs = this.game.simulate_half_inning(this.inning_random.next);
+        this.last_call =
+          this.game.teams[0] + " score " + runs + ", " + half_inning;
+        this.pitch_timer = t;
+      }
+      if (this.game.over) {
+        this.current_game_state =
+          this.game.winner() == 1
+            ? this.game_state.game_won
+            : this.game_state.game_over;
+      }
+    }
+    if (
+      t > this.pitch_timer + 2 &&
+      this.world.bodies.length < 2 &&
+      this.pitch_count > -1 &&
+      this.current_game_state == this.game_state.started
+    )
+      this.deliver_pitch();
 
+    // A replayed pitch is over once the ball is gone:
+    if (this.replay && this.replay.pitch && this.world.bodies.length < 2)
+      this.replay.over = true;
+  }
+  deliver_pitch() {
+    this.pitch_time = false;
+    if (this.game_mode == this.game_modes.levels)
+      this.pitch_count = this.pitch_count - 1;
+    const { type } = this.release_pitch(this.current_game_level);
+    this.pitch_readout = pitch_types[type].name + " " + this.pitch_mph + " mph";
+    this.pitch_thrown = true;
+  }
+  make_bat() {
+    return Object.assign(super.make_bat(), {
+      shape: this.shapes.cylinder,
+      material: this.materials.aluminum
+    });
+  }
+  make_ball() {
+    return Object.assign(super.make_ball(), {
+      shape: this.shapes.ball_4,
+      material: this.materials.baseball
+    });
+  }
+  start_replay(state, name) {
+    // start_replay(): Play the game over from a saved state up to where it
+    // is now, slowed down and seen from cameras of its own, then pick up
+    // where the game left off.
+    if (this.replay || !state) return;
+    this.replay = {
+      name,
+      pitch: name == "last pitch",
+      end: this.world.steps_taken,
+      resume: this.save_state()
+    };
+    this.restore_state(state);
+    // Cut straight to the pitch coming in, seen from behind the pitcher:
+    this.director.jump("centerfield");
+  }
+  stop_replay() {
+    if (!this.replay) return;
+    this.restore_state(this.replay.resume);
+    this.replay = null;
+  }
+  camera_shots() {
+    // camera_shots(): The shots the camera director can show.  Those that
+    // watch the ball look at it where it's drawn, or at home plate when
+    // there isn't one.
+    const ball = () => {
+      const ball = this.world.bodies[1];
+      return ball
+        ? ball.drawn_location.times(Vec.of(0, 0, 0, 1)).to3()
+        : home_plate;
+    };
+    // Which way a point is from home plate along the ground, leaning towards
+    // center field so that it settles down close to the plate:
+    const away = p => {
+      const offset = p.minus(home_plate);
+      return Vec.of(offset[0], 0, offset[2] - 10).normalized();
+    };
+    return {
+      batter: {
+        label: "Batter",
+        ease: 0.3,
+        camera: () =>
+          Mat4.translation([0, 0, 13])
+            .times(Mat4.rotation(-0.35, Vec.of(1, 0, 0)))
+            .times(Mat4.translation([0, -1.5, 0]))
+            .times(Mat4.scale([1.3, 1.5, 1.1]))
+      },
+      // Behind the pitcher, looking in at the batter:
+      centerfield: {
+        label: "Center field",
+        ease: 0.5,
+        camera: () => look_from(Vec.of(2, -3, -40), Vec.of(0, -8, 1.77))
+      },
+      // High up behind home plate, taking in the whole field:
+      high_home: {
+        label: "High home",
+        ease: 0.6,
+        camera: () =>
+          look_from(Vec.of(0, 40, 45), ball().mix(Vec.of(0, -10, -60), 0.5))
+      },
+      // Trailing the ball, above and behind it:
+      ball: {
+        label: "Ball",
+        ease: 0.4,
+        camera: () =>
+          look_from(
+            ball()
+              .minus(away(ball()).times(30))
+              .plus(Vec.of(0, 10, 0)),
+            ball()
+          )
+      },
+      // Out past where a ball in play came down, looking back in at it:
+      landing: {
+        label: "Outfield",
+        ease: 0.5,
+        camera: () => {
+          const spot = this.landing || ball();
+          return look_from(
+            Vec.of(spot[0], -2, spot[2]).plus(away(spot).times(25)),
+            ball()
+          );
+        }
+      },
+      // Low off the first base side of home plate:
+      first_base: {
+        label: "First base side",
+        ease: 0,
+        camera: () => look_from(Vec.of(24, -7, -4), ball())
+      }
+    };
+  }
+  intro_flyover(camera) {
+    // intro_flyover(): A flight from "camera" (a camera_transform, like the
+    // title screen's) high over the outfield fence, around the third base
+    // side and down to the batter's view, to open a game.
+    const eye = camera.times(Vec.of(0, 0, 0, 1)).to3();
+    return new Camera_Path([
+      { time: 0, eye, at: camera.times(Vec.of(0, 0, -10, 1)).to3() },
+      { time: 2, eye: Vec.of(0, 150, -260), at: Vec.of(0, -10, -80) },
+      { time: 4, eye: Vec.of(-140, 40, -120), at: Vec.of(0, -10, -40) },
+      { time: 5.5, eye: Vec.of(-50, 10, 40), at: home_plate },
+      { time: 7, eye: Vec.of(0, -1.4, 13.5), at: Vec.of(0, -4.8, 4.1) }
+    ]);
+  }
+  home_run_orbit() {
+    // home_run_orbit(): Circle home plate once, starting from behind it.
+    const keys = [];
+    for (let i = 0; i <= 8; i++) {
+      const angle = (i * Math.PI) / 4;
+      keys.push({
+        time: 0.6 * i,
+        eye: home_plate.plus(
+          Vec.of(40 * Math.sin(angle), 8, 40 * Math.cos(angle))
+        ),
+        at: home_plate.plus(Vec.of(0, 2, 0))
+      });
+    }
+    return new Camera_Path(keys);
+  }
+  pick_shot() {
+    // pick_shot(): The shot the game calls for right now.  A batted ball is
+    // followed in the air, watched where it came down once it's rolling in
+    // the outfield, and seen with the whole field for anything else it does.
+    // Replays cut straight to shots of their own: the pitch from behind the
+    // pitcher, and the ball off the bat from the first base side.
+    const batted = this.ball_hit && this.world.bodies.length > 1;
+    if (this.replay) return batted ? "first_base" : "centerfield";
+    if (batted) {
+      if (this.ball_tipped) return "high_home";
+      if (
+        !this.ball_bounced ||
+        this.batted_ball_call == batted_ball_calls.home_run
+      )
+        return "ball";
+      return this.landing && distance_from_home(this.landing) > 60
+        ? "landing"
+        : "high_home";
+    }
+    return "batter";
+  }
+  follow_the_sun() {
+    // follow_the_sun(): Put the sun where the clock says, shining the color
+    // it says, with its shadow map looking down from it on the field.
+    const direction = this.clock.sun_direction();
+    const center = Vec.of(0, -10, -60);
+    this.sun.position = direction.to4(0);
+    this.sun.color = this.clock.sun_color();
+    this.sun.shadow_map.light_camera = Mat4.look_at(
+      center.plus(direction.times(400)),
+      center,
+      Vec.of(0, 1, 0)
+    );
+  }
+  game_progress() {
+    // game_progress(): How far along the game is, from 0 at the first pitch
+    // to 1 at the end: by the outs in a Play Ball game, and otherwise by the
+    // levels and the runs towards each level's target.
+    if (this.game_mode == this.game_modes.play_ball) {
+      const { inning, half, outs, innings } = this.game;
+      const halves = 2 * (inning - 1) + half + outs / 3;
+      return Math.min(halves / (2 * innings), 1);
+    }
+    const levels = Number(this.current_game_level) - 1;
+    return Math.min((levels + this.game_score / this.game_target) / 4, 1);
+  }
   /******************** CONTROLS ********************/
   make_control_panel() {
     this.key_triggered_button("Start Game", ["x"], () => {
+      this.stop_replay();
+      this.current_game_state = this.game_state.started;
+      this.game_mode = this.game_modes.levels;
+      this.start_recording();
+    });
+    this.key_triggered_button("Play Ball", ["p"], () => {
+      this.stop_replay();
       this.current_game_state = this.game_state.started;
+      this.game_mode = this.game_modes.play_ball;
+      this.game = new Game(Game.default_teams, this.innings);
+      // Start the levels over too, so that a levels game that just ended
+      // doesn't end this one as well:
+      this.current_game_level = 1;
+      this.game_target = 3;
+      this.game_score = 0;
+      this.pitch_count = 10;
+      this.game_started = 0;
+      this.count.reset();
+      this.last_call = "";
+      this.runners = [];
+      this.swing_history = [];
+      this.hit_readout = "";
+      this.start_recording();
     });
     this.key_triggered_button("Restart Game", ["r"], () => {
+      this.stop_replay();
       this.current_game_state = this.game_state.started;
       this.current_game_level = 1;
       this.game_target = 3;
       this.game_score = 0;
       this.pitch_count = 10;
       this.game_started = 0;
+      this.count.reset();
+      this.last_call = "";
+      this.runners = [];
+      this.swing_history = [];
+      this.hit_readout = "";
+      if (this.game_mode == this.game_modes.play_ball)
+        this.game = new Game(Game.default_teams, this.innings);
+      this.start_recording();
     });
-    this.key_triggered_button("Change day/night time", ["n"], () => {
-      if (this.night_time == true) {
-        this.night_time = false;
-      } else {
-        this.night_time = true;
-      }
+    this.key_triggered_button("Play Ball innings", ["v"], () => {
+      const lengths = [9, 7, 5, 3, 1];
+      this.innings = lengths[(lengths.indexOf(this.innings) + 1) % 5];
     });
-    this.key_triggered_button("Batter L", ["j"], () => {
-      this.batter_x = Math.max(this.batter_x - 0.5, -6);
+    this.live_string(box => {
+      box.textContent = "Play Ball innings: " + this.innings;
     });
-    this.key_triggered_button("Batter R", ["l"], () => {
-      this.batter_x = Math.min(this.batter_x + 0.5, -2);
+    this.new_line();
+    this.key_triggered_button("Change day/night time", ["n"], () =>
+      this.clock.set(this.clock.dark() ? 13 : 21.5)
+    );
+    this.key_triggered_button("Later", ["t"], () => this.clock.advance(0.5));
+    this.key_triggered_button("Earlier", ["Shift", "T"], () =>
+      this.clock.advance(-0.5)
+    );
+    this.key_triggered_button("Sunset game", ["g"], () => {
+      this.sunset_game = !this.sunset_game;
+    });
+    this.live_string(box => {
+      box.textContent =
+        "Time: " +
+        this.clock.label() +
+        (this.sunset_game ? " (sunset game)" : "");
+    });
+    this.new_line();
+    const toggle = (label, keys, effect) =>
+      this.key_triggered_button(label, keys, () => {
+        effect.on = !effect.on;
+      });
+    toggle("Bloom", ["Shift", "B"], this.post_effects.bloom);
+    toggle("Motion blur", ["Shift", "M"], this.post_effects.motion_blur);
+    toggle("Color grading", ["Shift", "G"], this.post_effects.grading);
+    toggle("Vignette", ["Shift", "V"], this.post_effects.vignette);
+    toggle("FXAA", ["Shift", "A"], this.post_effects.fxaa);
+    this.live_string(box => {
+      const on = Object.values(this.post_effects).filter(e => e.on);
+      box.textContent =
+        "Post processing: " +
+        (on.length ? on.map(e => e.label).join(", ") : "off");
+    });
+    this.new_line();
+    this.key_triggered_button("Batter L", ["j"], () =>
+      this.input("batter left")
+    );
+    this.key_triggered_button("Batter R", ["l"], () =>
+      this.input("batter right")
+    );
+    this.key_triggered_button("Swing", ["i"], () => this.input("swing"));
+    this.key_triggered_button("Physics realism", ["f"], () =>
+      this.input("flight")
+    );
+    this.live_string(box => {
+      box.textContent = "Ball flight: " + this.flight_model.name;
+    });
+    this.new_line();
+    this.key_triggered_button("Integrator", ["k"], () =>
+      this.input("integrator")
+    );
+    this.live_string(box => {
+      box.textContent = "Integrator: " + this.world.integrator.name;
+    });
+    this.new_line();
+    this.live_string(box => {
+      box.textContent = "Seed: " + this.random.seed;
     });
-    this.key_triggered_button("Swing", ["i"], () => {
-      if (!this.swing_bat) this.toggle_swing = true;
+    this.new_line();
+    this.key_triggered_button("Show strike zone", ["z"], () => {
+      this.show_strike_zone = !this.show_strike_zone;
     });
     this.key_triggered_button("Home Run", ["8"], () => {
       //this.home_run = true; UNCOMMENT THIS LATER
-      this.ball_hit = true;
+      this.input("home run");
+    });
+    this.new_line();
+    this.key_triggered_button("Replay last pitch", ["y"], () =>
+      this.start_replay(
+        this.recording && this.recording.last_pitch(),
+        "last pitch"
+      )
+    );
+    this.key_triggered_button("Replay game", ["Shift", "Y"], () =>
+      this.start_replay(this.recording && this.recording.start, "game")
+    );
+    this.live_string(box => {
+      box.textContent = this.replay ? "Replaying the " + this.replay.name : "";
+    });
+    this.new_line();
+    this.key_triggered_button("Slow motion", ["m"], () => {
+      this.slow_motion.manual = !this.slow_motion.manual;
+    });
+    this.live_string(box => {
+      box.textContent =
+        "Slow motion: " + (this.slow_motion.manual ? "on" : "auto");
+    });
+    this.new_line();
+    this.key_triggered_button("Camera", ["c"], () =>
+      this.director.next_override()
+    );
+    this.live_string(box => {
+      box.textContent = "Camera: " + this.director.label();
     });
   }
 
@@ -438,9 +1018,6 @@ class Final_Project extends Scene {
         (context.scratchpad.controls = new defs.Program_State_Viewer())
       );
     
-
-      // Add a helper scene / child scene that allows viewing each moving body up close.
-      this.children.push((this.camera_teleporter = new Camera_Teleporter()));
       
 
       // Define the global camera and projection matrices, which are stored in program_state.  The camera
@@ -467,16 +1044,9 @@ class Final_Project extends Scene {
       this.current_game_state == this.game_state.started &&
       this.game_started == 0
     ) {
-      program_state.set_camera(
-        Mat4.inverse(
-          Mat4.identity()
-            .times(Mat4.translation([0, 0, 13]))
-            .times(Mat4.rotation(-0.35, Vec.of(1, 0, 0)))
-            .times(Mat4.translation([0, -1.5, 0]))
-            .times(Mat4.scale([1.3, 1.5, 1.1]))
-        )
-      );
-      this.initial_camera_location = program_state.camera_inverse;
+      // Fly in from wherever the camera was to the batter's view:
+      this.director.jump("batter");
+      this.director.play(this.intro_flyover(program_state.camera_transform), 0);
       program_state.projection_transform = Mat4.perspective(
         Math.PI / 4,
         context.width / context.height,
@@ -490,26 +1060,80 @@ class Final_Project extends Scene {
     // time as an input when calculating new transforms:
     const t = program_state.animation_time / 1000;
 
-    // Have to reset this for each frame:
-    this.camera_teleporter.cameras = [];
-    this.camera_teleporter.cameras.push(
+    // Replays end between steps of the world, where the game they pick up
+    // from was saved:
+    if (
+      this.replay &&
+      (this.replay.over || this.world.steps_taken >= this.replay.end)
+    )
+      this.stop_replay();
+    // Likewise, save the game's state just after each pitch is thrown, to
+    // replay the pitch from:
+    if (this.pitch_thrown && this.recording && !this.replay)
+      this.recording.add_pitch(this.save_state());
+    this.pitch_thrown = false;
+
+    // Slow down as a pitch comes in and when it's hit, and more for replays.
+    // The sound slows and drops in pitch along with it:
+    const pitch = this.world.bodies[1];
+    const incoming =
+      pitch && !this.ball_hit && pitch.center[2] < home_plate[2]
+        ? home_plate[2] - pitch.center[2]
+        : null;
+    const real_dt = program_state.animation_delta_time / 1000;
+    this.world.time_scale =
+      this.slow_motion.update(real_dt, incoming) * (this.replay ? 0.4 : 1);
+    // The game holds still while the camera flies a path:
+    if (this.director.path) this.world.time_scale = 0;
+    for (let sound of Object.values(this.sounds)) {
+      sound.preservesPitch = false;
+      sound.playbackRate = 1 - 0.5 * this.slow_motion.amount();
+      sound.volume = 1 - 0.6 * this.slow_motion.amount();
+    }
+
+    ///////////////////* NEW ANIMATION CODE*////////////
+    this.world.simulate(program_state.animation_delta_time);
+
+    // Cut to the shot the game calls for:
+    if (this.current_game_state == this.game_state.started) {
+      this.director.cut(this.pick_shot());
+      program_state.set_camera(
         Mat4.inverse(
-          Mat4.identity()
-            .times(Mat4.translation([0, 0, 13]))
-            .times(Mat4.rotation(-0.35, Vec.of(1, 0, 0)))
-            .times(Mat4.translation([0, -1.5, 0]))
-            .times(Mat4.scale([1.3, 1.5, 1.1]))
+          this.director.update(program_state.animation_delta_time / 1000)
         )
+      );
+    }
+
+    // In a sunset game the clock runs from the first pitch late in the
+    // afternoon until after dark by the last out:
+    if (this.sunset_game)
+      this.clock.glide(18.25 + 3.5 * this.game_progress(), real_dt);
+
+    /******************** POST PROCESSING ********************/
+
+    // Tell the effects what to do with this frame before it's drawn, so that
+    // only the ones with something to do draw it offscreen: the stadium's
+    // lights glow more the darker it gets, the frame takes on the sky's look,
+    // its corners darken in slow motion, and a pitch blurs on its way in.
+    // They run over the frame at the end of display():
+    const effects = this.post_effects;
+    effects.bloom.strength = this.clock.between(0.9, 0);
+    effects.grading.grade(this.clock.sky());
+    effects.vignette.amount = this.slow_motion.amount();
+    effects.motion_blur.follow(
+      program_state,
+      incoming != null
+        ? pitch.drawn_location.times(Vec.of(0, 0, 0, 1)).to3()
+        : null,
+      0.5
     );
+    this.post_processing.begin(context);
 
     // Variables that are in scope for you to use:
     // this.shapes: Your shapes, defined above.
     // this.materials: Your materials, defined above.
     // this.lights:  Assign an array of Light objects to this to light up your scene.
     // this.lights_on:  A boolean variable that changes when the user presses a button.
-    // this.camera_teleporter: A child scene that helps you see your planets up close.
-    //                         For this to work, you must push their inverted matrices
-    //                         into the "this.camera_teleporter.cameras" array.
     // t:  Your program's time in seconds.
     // program_state:  Information the shader needs for drawing.  Pass to draw().
     // context:  Wraps the WebGL rendering context shown onscreen.  Pass to draw().
@@ -518,19 +1142,6 @@ class Final_Project extends Scene {
       Start coding down here!!!!
       **********************************/
 
-    // Variable model_transform will be a local matrix value that helps us position shapes.
-    // It starts over as the identity every single frame - coordinate axes at the origin.
-    let model_transform = Mat4.identity()
-      .times(Mat4.translation([0, 0, 0]))
-      .times(Mat4.rotation(-Math.PI / 4, [0, 1, 0]))
-      .times(Mat4.translation([20, 0, 20]));
-
-    program_state.lights = [
-      new Light(Vec.of(0, 0, 0, 1), Color.of(1, 1, 1, 1), 100000)
-    ];
-
-    const lights_on = this.night_time ? { ambient: 1.0 } : { ambient: 0.0 };
-
     /******************** START SCREEN ********************/
     if (this.current_game_state == this.game_state.not_started) {
       this.sounds.maplestory.play();
@@ -732,45 +1343,8 @@ class Final_Project extends Scene {
         this.materials.black
       );
 
-      let frame_time = this.time_scale * program_state.animation_delta_time;
-
-      this.time_accumulator += Math.min(frame_time, 0.1);
-
-      while (Math.abs(this.time_accumulator) >= this.dt) {
-        while (this.title_balls.length < 15) {
-          this.title_balls.push(
-            new Body(
-              this.shapes.ball_4,
-              this.materials.baseball,
-              Vec.of(1, 1 + Math.random(), 1)
-            ).emplace(
-              Mat4.translation(Vec.of(0, 530, -20).randomized(10)),
-              Vec.of(0, -1, 0)
-                .randomized(2)
-                .normalized()
-                .times(3),
-              Math.random()
-            )
-          );
-        }
-
-        for (let b of this.title_balls) {
-          b.linear_velocity[1] += (1 / 20) * -9.8;
-          if (b.center[1] < 480 && b.linear_velocity[1] < 0)
-            b.linear_velocity[1] *= -0.8;
-        }
-
-        this.title_balls = this.title_balls.filter(
-          b => b.center.norm() < 530 && b.linear_velocity.norm() > 2
-        );
-        for (let b of this.title_balls) b.advance(this.dt);
-        this.t += Math.sign(frame_time) * this.dt;
-        this.time_accumulator -= Math.sign(frame_time) * this.dt;
-        this.steps_taken++;
-      }
-      let alpha = this.time_accumulator / this.dt;
-      for (let b of this.title_balls) b.blend_state(alpha);
-      for (let b of this.title_balls)
+      this.title_world.simulate(program_state.animation_delta_time);
+      for (let b of this.title_world.bodies)
         b.shape.draw(context, program_state, b.drawn_location, b.material);
     }
 
@@ -823,6 +1397,8 @@ class Final_Project extends Scene {
         this.materials.text_image
       );
 
+      this.draw_final_score(context, program_state, title_text);
+
       let title_bear = Mat4.identity();
 
       title_bear = title_bear
@@ -1016,6 +1592,8 @@ class Final_Project extends Scene {
         this.materials.text_image
       );
 
+      this.draw_final_score(context, program_state, title_text);
+
       let title_bear = Mat4.identity();
 
       title_bear = title_bear
@@ -1165,53 +1743,14 @@ class Final_Project extends Scene {
         this.materials.black
       );
 
-      let frame_time = this.time_scale * program_state.animation_delta_time;
-
-      this.time_accumulator += Math.min(frame_time, 0.1);
-
-      while (Math.abs(this.time_accumulator) >= this.dt) {
-        while (this.title_balls.length < 15) {
-          this.title_balls.push(
-            new Body(
-              this.shapes.ball_4,
-              this.materials.baseball,
-              Vec.of(1, 1 + Math.random(), 1)
-            ).emplace(
-              Mat4.translation(Vec.of(0, 530, -20).randomized(10)),
-              Vec.of(0, -1, 0)
-                .randomized(2)
-                .normalized()
-                .times(3),
-              Math.random()
-            )
-          );
-        }
-
-        for (let b of this.title_balls) {
-          b.linear_velocity[1] += (1 / 20) * -9.8;
-          if (b.center[1] < 480 && b.linear_velocity[1] < 0)
-            b.linear_velocity[1] *= -0.8;
-        }
-
-        this.title_balls = this.title_balls.filter(
-          b => b.center.norm() < 530 && b.linear_velocity.norm() > 2
-        );
-        for (let b of this.title_balls) b.advance(this.dt);
-        this.t += Math.sign(frame_time) * this.dt;
-        this.time_accumulator -= Math.sign(frame_time) * this.dt;
-        this.steps_taken++;
-      }
-      let alpha = this.time_accumulator / this.dt;
-      for (let b of this.title_balls) b.blend_state(alpha);
-      for (let b of this.title_balls)
+      this.title_world.simulate(program_state.animation_delta_time);
+      for (let b of this.title_world.bodies)
         b.shape.draw(context, program_state, b.drawn_location, b.material);
     }
 
    /***************** DISABLE STUFF PRIOR TO GAME BEGINNING *****************/
     if (this.current_game_state == this.game_state.started) {
-      while (this.title_balls != 0) {
-        for (let b of this.title_balls) this.title_balls.pop();
-      }
+      this.title_world.bodies = [];
       this.sounds.maplestory.pause();
       this.sounds.minecraft.pause();
       this.sounds.you_win.pause();
@@ -1291,7 +1830,12 @@ class Final_Project extends Scene {
       .times(Mat4.rotation(-0.1, [1, 0, 0]));
     const pitch_plural = " Pitches Left!";
     const pitch_singular = " Pitch Left!";
-    if (this.pitch_count == 1) {
+    if (this.game_mode == this.game_modes.play_ball) {
+      this.shapes.text.set_string(
+        this.game.label() + ", " + this.game.outs_label(),
+        context.context
+      );
+    } else if (this.pitch_count == 1) {
       this.shapes.text.set_string(
         this.pitch_count + pitch_singular,
         context.context
@@ -1312,524 +1856,327 @@ class Final_Project extends Scene {
       this.materials.text_image
     );
 
-    let level = Mat4.identity();
-
-    level = level
-      .times(Mat4.translation([4.70, -7, 5]))
-      .times(Mat4.scale([0.25, 0.25, 0.25]))
-      .times(Mat4.rotation(-0.4, [1, 0, 0]));
-
-    this.shapes.text.set_string(
-      "Level: " + this.current_game_level,
-      context.context
-    );
+    this.shapes.text.set_string(this.pitch_readout, context.context);
     this.shapes.text.draw(
       context,
       program_state,
-      level,
+      pitches.times(Mat4.translation([16.5, 0, 0])),
       this.materials.text_image
     );
 
-    let homeruns = Mat4.identity();
-
-    homeruns = homeruns
-      .times(Mat4.translation([3, -9, 5]))
-      .times(Mat4.scale([0.25, 0.25, 0.25]))
-      .times(Mat4.rotation(-0.4, [1, 0, 0]));
+    let count = pitches.times(Mat4.translation([0, -2.5, 0]));
 
     this.shapes.text.set_string(
-      "Home Run(s): " + this.game_score,
+      "Count: " + this.count.to_string(),
       context.context
     );
     this.shapes.text.draw(
       context,
       program_state,
-      homeruns,
+      count,
       this.materials.text_image
     );
 
-    let target = Mat4.identity();
+    count = count.times(Mat4.translation([16.5, 0, 0]));
 
-    target = target
-      .times(Mat4.translation([4.6, -8, 5]))
-      .times(Mat4.scale([0.25, 0.25, 0.25]))
-      .times(Mat4.rotation(-0.4, [1, 0, 0]));
-
-    if (this.current_game_level == 2) this.game_target = 5;
-    if (this.current_game_level == 3) this.game_target = 7;
-    if (this.current_game_level == 4) this.game_target = 10;
-    if (this.current_game_level == 5) this.game_target = 13;
-
-    this.shapes.text.set_string("Target: " + this.game_target, context.context);
+    this.shapes.text.set_string(this.last_call, context.context);
+    this.shapes.text.draw(
+      context,
+      program_state,
+      count,
+      this.materials.text_image
+    );
 
+    this.shapes.text.set_string(this.hit_readout, context.context);
     this.shapes.text.draw(
       context,
       program_state,
-      target,
+      count.times(Mat4.translation([-16.5, -2.5, 0])),
       this.materials.text_image
     );
-    /******************** ENVIRONMENT ********************/
 
-    let sky = model_transform.copy();
+    if (this.game_mode == this.game_modes.play_ball) {
+      let line_score = Mat4.identity()
+        .times(Mat4.translation([0.5, -8, 5]))
+        .times(Mat4.scale([0.15, 0.15, 0.15]))
+        .times(Mat4.rotation(-0.4, [1, 0, 0]));
 
-    sky = sky
-      .times(Mat4.translation([-230, 164, -225]))
-      .times(Mat4.scale([250, 175, 250]));
-    if (this.night_time == true) {
-      this.shapes.box.draw(
+      for (let team = 0; team < 2; team++) {
+        this.shapes.long_text.set_string(
+          this.game.line_score_string(team),
+          context.context
+        );
+        this.shapes.long_text.draw(
+          context,
+          program_state,
+          line_score,
+          this.materials.text_image
+        );
+        line_score = line_score.times(Mat4.translation([0, -3, 0]));
+      }
+    } else {
+      let level = Mat4.identity();
+
+      level = level
+        .times(Mat4.translation([4.70, -7, 5]))
+        .times(Mat4.scale([0.25, 0.25, 0.25]))
+        .times(Mat4.rotation(-0.4, [1, 0, 0]));
+
+      this.shapes.text.set_string(
+        "Level: " + this.current_game_level,
+        context.context
+      );
+      this.shapes.text.draw(
         context,
         program_state,
-        sky,
-        this.materials.nightsky
+        level,
+        this.materials.text_image
       );
-    } else {
-      this.shapes.box.draw(context, program_state, sky, this.materials.sky);
-    }
-
-    /******************** GREENERY ********************/
 
-    let tree = Mat4.identity();
+      let homeruns = Mat4.identity();
 
-    tree = tree
-      .times(Mat4.translation([-90, 21, -90]))
-      .times(Mat4.scale([10, 10, 10]));
+      homeruns = homeruns
+        .times(Mat4.translation([3, -9, 5]))
+        .times(Mat4.scale([0.25, 0.25, 0.25]))
+        .times(Mat4.rotation(-0.4, [1, 0, 0]));
 
-    this.shapes.tree_stem.draw(
-      context,
-      program_state,
-      tree,
-      this.materials.wood
-    );
+      this.shapes.text.set_string(
+        "Home Run(s): " + this.game_score,
+        context.context
+      );
+      this.shapes.text.draw(
+        context,
+        program_state,
+        homeruns,
+        this.materials.text_image
+      );
 
-    this.shapes.tree_leaves.draw(
-      context,
-      program_state,
-      tree,
-      this.materials.leaves
-    );
+      let target = Mat4.identity();
 
-    tree = tree.times(Mat4.translation([5, 0, -5]));
+      target = target
+        .times(Mat4.translation([4.6, -8, 5]))
+        .times(Mat4.scale([0.25, 0.25, 0.25]))
+        .times(Mat4.rotation(-0.4, [1, 0, 0]));
 
-    this.shapes.tree_stem.draw(
-      context,
-      program_state,
-      tree,
-      this.materials.wood
-    );
+      if (this.current_game_level == 2) this.game_target = 5;
+      if (this.current_game_level == 3) this.game_target = 7;
+      if (this.current_game_level == 4) this.game_target = 10;
+      if (this.current_game_level == 5) this.game_target = 13;
 
-    this.shapes.tree_leaves.draw(
-      context,
-      program_state,
-      tree,
-      this.materials.leaves
-    );
+      this.shapes.text.set_string("Target: " + this.game_target, context.context);
 
-    tree = tree.times(Mat4.translation([10, 0, -5]));
+      this.shapes.text.draw(
+        context,
+        program_state,
+        target,
+        this.materials.text_image
+      );
+    }
 
-    this.shapes.tree_stem.draw(
-      context,
-      program_state,
-      tree,
-      this.materials.wood
-    );
+    if (this.world.t < this.batted_ball_call_time + 2) {
+      // Hang the call in front of the camera, centered:
+      const call = this.batted_ball_call;
+      const banner = program_state.camera_transform
+        .times(Mat4.translation([-0.375 * (call.length - 1), 2.5, -12]))
+        .times(Mat4.scale([0.5, 0.5, 0.5]));
+      this.shapes.text.set_string(call, context.context);
+      this.shapes.text.draw(
+        context,
+        program_state,
+        banner,
+        this.materials.text_image
+      );
+    }
+    if (this.replay || this.last_call == Bases.hit_names[4]) {
+      // Offer the replay after a home run, and label it while it plays:
+      const label = this.replay ? "Replay" : "Y for the replay";
+      const banner = program_state.camera_transform
+        .times(Mat4.translation([-0.225 * (label.length - 1), -4, -12]))
+        .times(Mat4.scale([0.3, 0.3, 0.3]));
+      this.shapes.text.set_string(label, context.context);
+      this.shapes.text.draw(
+        context,
+        program_state,
+        banner,
+        this.materials.text_image
+      );
+    }
+    /******************** LIGHTING ********************/
+
+    this.follow_the_sun();
+    // The stadium's lights come on at dusk, and go off in the morning:
+    this.floodlights.switch_on(this.clock.dark());
+    this.floodlights.update(real_dt);
+    for (let beam of this.tower_beams)
+      beam.color = this.beam_color.times(
+        this.floodlights.tower_level(beam.tower)
+      );
+    // The bulbs glow as brightly as their bank is burning:
+    this.floodlights.banks.forEach((bank, i) => {
+      const glow = 0.35 + 0.65 * bank.level;
+      for (let k = 0; k < 3; k++)
+        this.bulbs.colors[3 * i + k] = Color.of(glow, glow, glow, 1);
+    });
+    this.bulbs.copy_onto_graphics_card(context.context, ["colors"]);
+    program_state.lights = [this.sun, ...this.tower_beams];
+    program_state.point_lights = this.floodlights.lights();
+    // Draw the stadium from each light that's on and casts shadows, and then
+    // from the camera:
+    for (let light of program_state.lights)
+      if (light.shadow_map && light.color.to3().norm() > 0)
+        light.shadow_map.render(context, program_state, () =>
+          this.draw_stadium(context, program_state)
+        );
+    this.draw_stadium(context, program_state);
+
+    // Black bars close in from the top and bottom of the screen as the game
+    // slows down:
+    const bar = 0.1 * this.slow_motion.amount();
+    if (bar > 0.001)
+      for (let side of [-1, 1])
+        this.shapes.box.draw(
+          context,
+          program_state,
+          program_state.camera_transform
+            .times(Mat4.translation([0, side * (0.83 - bar), -2]))
+            .times(Mat4.scale([2, bar, 0.01])),
+          this.materials.black
+        );
 
-    this.shapes.tree_leaves.draw(
-      context,
-      program_state,
-      tree,
-      this.materials.leaves
-    );
+    // The effects run over the frame now that it's all drawn:
+    this.post_processing.finish(context, program_state);
+  }
 
-    tree = tree.times(Mat4.translation([-15, 0, 5]));
+  draw_stadium(context, program_state) {
+    // draw_stadium(): Draw the field, the stands, the people and the ball.
+    // It's drawn once from each light that casts shadows and then once more
+    // from the camera each frame, so it only draws.
 
-    this.shapes.tree_stem.draw(
-      context,
-      program_state,
-      tree,
-      this.materials.wood
-    );
+    // Variable model_transform will be a local matrix value that helps us position shapes.
+    // It starts over as the identity every single frame - coordinate axes at the origin.
+    let model_transform = Mat4.identity()
+      .times(Mat4.translation([0, 0, 0]))
+      .times(Mat4.rotation(-Math.PI / 4, [0, 1, 0]))
+      .times(Mat4.translation([20, 0, 20]));
 
-    this.shapes.tree_leaves.draw(
+    /******************** ENVIRONMENT ********************/
+
+    // The sky turns with the camera but never moves with it, as if it were
+    // infinitely far away, and blends from day through dawn or dusk to night
+    // with the clock:
+    this.shapes.box.draw(
       context,
       program_state,
-      tree,
-      this.materials.leaves
+      Mat4.identity(),
+      this.materials.skybox.override(this.clock.sky())
     );
 
-    tree = tree.times(Mat4.translation([9, 0, -4]));
+    /******************** GREENERY ********************/
 
-    this.shapes.tree_stem.draw(
+    this.shapes.tree_stem.draw_instances(
       context,
       program_state,
-      tree,
+      this.scenery.trees,
       this.materials.wood
     );
-
-    this.shapes.tree_leaves.draw(
+    this.shapes.tree_leaves.draw_instances(
       context,
       program_state,
-      tree,
+      this.scenery.trees,
       this.materials.leaves
     );
-
-    tree = tree.times(Mat4.translation([7, 0, 7]));
-
-    this.shapes.tree_stem.draw(
+    for (let { shape, instances } of this.scenery.stones)
+      this.shapes[shape].draw_instances(
+        context,
+        program_state,
+        instances,
+        this.materials.stone
+      );
+    this.shapes.grass.draw_instances(
       context,
       program_state,
-      tree,
-      this.materials.wood
+      this.scenery.grass,
+      this.materials.grass
     );
+    /******************** FIELD ********************/
 
-    this.shapes.tree_leaves.draw(
+    // The grass gets darker as the daylight goes:
+    const field_material = this.materials.field.override({
+      ambient: this.clock.between(0.4, 0.6)
+    });
+    this.shapes.plane.draw_instances(
       context,
       program_state,
-      tree,
-      this.materials.leaves
+      this.scenery.field,
+      field_material
     );
 
-    tree = tree.times(Mat4.translation([5, 0, 1]));
+    /******************** FENCE ********************/
 
-    this.shapes.tree_stem.draw(
+    this.shapes.box.draw_instances(
       context,
       program_state,
-      tree,
-      this.materials.wood
+      this.scenery.fence,
+      this.materials.fence
     );
 
-    this.shapes.tree_leaves.draw(
+    this.shapes.box.draw(
       context,
       program_state,
-      tree,
-      this.materials.leaves
+      backstop_location,
+      this.materials.fence
     );
 
-    let stone = Mat4.identity();
+    /******************** FOUL LINES ********************/
 
-    stone = stone
-      .times(Mat4.translation([-60, 0, -120]))
-      .times(Mat4.scale([7, 7, 7]));
+    for (let pole of foul_poles) {
+      // Chalk a thin strip from home plate out to the pole, just above the
+      // grass:
+      const line = pole.minus(home_plate);
+      const middle = home_plate.mix(pole, 0.5);
+      line[1] = 0;
+      middle[1] = -9.97;
+      const foul_line = Mat4.translation(middle)
+        .times(Mat4.rotation(Math.atan2(line[0], line[2]), Vec.of(0, 1, 0)))
+        .times(Mat4.scale([0.15, 0.05, line.norm() / 2]));
 
-    this.shapes.stone_1.draw(
-      context,
-      program_state,
-      stone,
-      this.materials.stone
-    );
+      this.shapes.box.draw(
+        context,
+        program_state,
+        foul_line,
+        this.materials.chalk
+      );
 
-    stone = stone.times(Mat4.translation([5, 0, -9]));
+      const foul_pole = Mat4.translation(pole)
+        .times(Mat4.translation([0, 10, 0]))
+        .times(Mat4.rotation(1.5708, Vec.of(1, 0, 0)))
+        .times(Mat4.scale([0.4, 0.4, 20]));
 
-    this.shapes.stone_2.draw(
-      context,
-      program_state,
-      stone,
-      this.materials.stone
-    );
+      this.shapes.cylinder.draw(
+        context,
+        program_state,
+        foul_pole,
+        this.materials.foul_pole
+      );
+    }
 
-    stone = stone.times(Mat4.translation([10, 0, 5]));
+    /******************** LIGHTS ********************/
 
-    this.shapes.stone_3.draw(
+    this.shapes.cylinder.draw_instances(
       context,
       program_state,
-      stone,
-      this.materials.stone
+      this.tower_frames,
+      this.materials.aluminum
     );
-
-    stone = stone.times(Mat4.translation([10, 0, 2]));
-
-    this.shapes.stone_3.draw(
+    this.shapes.ball_4.draw_instances(
       context,
       program_state,
-      stone,
-      this.materials.stone
+      this.bulbs,
+      this.materials.lights
     );
 
-    let grass = Mat4.identity();
-
-    grass = grass
-      .times(Mat4.translation(Vec.of(-50, -3, -230)))
-      .times(Mat4.scale([5, 5, 5]));
-
-    for (let i = 0; i < 9; i++) {
-      for (let j = 0; j < 5; j++) {
-        let grass_piece = grass.times(Mat4.translation([+i * 3, 0, +j * 4]));
-
-        this.shapes.grass.draw(
-          context,
-          program_state,
-          grass_piece,
-          this.materials.grass
-        );
-      }
-    }
-
-    grass = grass
-      .times(Mat4.rotation(0.785398, Vec.of(0, 1, 0)))
-      .times(Mat4.translation(Vec.of(-30, 0, 1)));
-
-    for (let i = 0; i < 10; i++) {
-      for (let j = 0; j < 5; j++) {
-        let grass_piece = grass.times(Mat4.translation([+i * 3, 0, +j * 4]));
-
-        this.shapes.grass.draw(
-          context,
-          program_state,
-          grass_piece,
-          this.materials.grass
-        );
-      }
-    }
-
-    grass = grass
-      .times(Mat4.rotation(2 * 0.785398, Vec.of(0, 1, 0)))
-      .times(Mat4.translation(Vec.of(-44, 0, 28)));
-
-    for (let i = 0; i < 8; i++) {
-      for (let j = 0; j < 5; j++) {
-        let grass_piece = grass.times(Mat4.translation([+i * 3, 0, +j * 4]));
-
-        this.shapes.grass.draw(
-          context,
-          program_state,
-          grass_piece,
-          this.materials.grass
-        );
-      }
-    }
-    /******************** FIELD ********************/
-
-    let field = model_transform
-      .copy()
-      .times(Mat4.rotation(1.5708, Vec.of(1, 0, 0)))
-      .times(Mat4.translation([-430, -450, 35]))
-      .times(Mat4.scale([25, 25, 25]))
-      .times(Mat4.translation([-1, 0, -1]));
-
-    for (let i = 0; i < 19; i++) {
-      for (let j = 0; j < 19; j++) {
-        let field_piece = field.times(Mat4.translation([+i, +j, 0]));
-
-        if (this.night_time) {
-          this.shapes.plane.draw(
-            context,
-            program_state,
-            field_piece,
-            this.materials.field.override({ ambient: 0.4 })
-          );
-        } else {
-          this.shapes.plane.draw(
-            context,
-            program_state,
-            field_piece,
-            this.materials.field
-          );
-        }
-      }
-    }
-
-    /******************** FENCE ********************/
-
-    let fence = model_transform.copy();
-
-    fence = fence
-      .times(Mat4.translation([-125, -7, -127]))
-      .times(Mat4.scale([0.1, 3, 1]));
-
-    for (let total = 1; total < 60; total++) {
-      fence = fence.times(Mat4.translation([0, 0, 2.1]));
-
-      this.shapes.box.draw(context, program_state, fence, this.materials.fence);
-    }
-
-    fence = model_transform.copy();
-
-    fence = fence
-      .times(Mat4.translation([-126, -7, -126]))
-      .times(Mat4.scale([1, 3, 0.1]));
-
-    for (let total = 1; total < 60; total++) {
-      fence = fence.times(Mat4.translation([2.1, 0, 0]));
-
-      this.shapes.box.draw(context, program_state, fence, this.materials.fence);
-    }
-
-    /******************** LIGHTS ********************/
-
-    let right_light_pole = model_transform.copy();
-    right_light_pole = right_light_pole
-      .times(Mat4.translation([35, 2.5, -130]))
-      .times(Mat4.rotation(1.5708, Vec.of(1, 0, 0)))
-      .times(Mat4.scale([0.5, 0.5, 25]));
-
-    for (let total = 1; total < 3; total++) {
-      right_light_pole = right_light_pole.times(Mat4.translation([-130, 0, 0]));
-      this.shapes.cylinder.draw(
-        context,
-        program_state,
-        right_light_pole,
-        this.materials.aluminum
-      );
-      let right_light_pole_2 = right_light_pole.copy();
-      right_light_pole_2 = right_light_pole_2
-        .times(Mat4.scale([2, 2, 1 / 25]))
-        .times(Mat4.translation([0, 0, -16]))
-        .times(Mat4.rotation(1.5708, Vec.of(0, 1, 0)))
-        .times(Mat4.scale([0.5, 0.5, 15]));
-
-      for (let total_2 = 1; total_2 < 4; total_2++) {
-        right_light_pole_2 = right_light_pole_2.times(
-          Mat4.translation([-6, 0, 0])
-        );
-        this.shapes.cylinder.draw(
-          context,
-          program_state,
-          right_light_pole_2,
-          this.materials.aluminum
-        );
-        for (let total_3 = 1; total_3 < 4; total_3++) {
-          let right_light = right_light_pole_2.copy();
-          if (this.night_time == true) {
-            right_light = right_light
-              .times(Mat4.scale([2, 2, 1 / 15]))
-              .times(Mat4.translation([0, 1, -5]));
-            this.shapes.ball_4.draw(
-              context,
-              program_state,
-              right_light,
-              this.materials.lights
-            );
-            right_light = right_light.times(Mat4.translation([0, 0, 5]));
-            this.shapes.ball_4.draw(
-              context,
-              program_state,
-              right_light,
-              this.materials.lights
-            );
-            right_light = right_light.times(Mat4.translation([0, 0, 5]));
-            this.shapes.ball_4.draw(
-              context,
-              program_state,
-              right_light,
-              this.materials.lights
-            );
-          } else {
-            right_light = right_light
-              .times(Mat4.scale([2, 2, 1 / 15]))
-              .times(Mat4.translation([0, 1, -5]));
-            this.shapes.ball_4.draw(
-              context,
-              program_state,
-              right_light,
-              this.materials.lights.override(lights_on)
-            );
-            right_light = right_light.times(Mat4.translation([0, 0, 5]));
-            this.shapes.ball_4.draw(
-              context,
-              program_state,
-              right_light,
-              this.materials.lights.override(lights_on)
-            );
-            right_light = right_light.times(Mat4.translation([0, 0, 5]));
-            this.shapes.ball_4.draw(
-              context,
-              program_state,
-              right_light,
-              this.materials.lights.override(lights_on)
-            );
-          }
-        }
-      }
-    }
-
-    let left_light_pole = model_transform.copy();
-    left_light_pole = left_light_pole
-      .times(Mat4.translation([-130, 2.5, 35]))
-      .times(Mat4.rotation(1.5708, Vec.of(1, 0, 0)))
-      .times(Mat4.rotation(-1.5708, Vec.of(0, 0, 1)))
-      .times(Mat4.scale([0.5, 0.5, 25]));
-
-    for (let total = 1; total < 3; total++) {
-      left_light_pole = left_light_pole.times(Mat4.translation([130, 0, 0]));
-      this.shapes.cylinder.draw(
-        context,
-        program_state,
-        left_light_pole,
-        this.materials.aluminum
-      );
-      let left_light_pole_2 = left_light_pole.copy();
-      left_light_pole_2 = left_light_pole_2
-        .times(Mat4.scale([2, 2, 1 / 25]))
-        .times(Mat4.translation([0, 0, -16]))
-        .times(Mat4.rotation(1.5708, Vec.of(0, 1, 0)))
-        .times(Mat4.scale([0.5, 0.5, 15]));
-
-      for (let total_2 = 1; total_2 < 4; total_2++) {
-        left_light_pole_2 = left_light_pole_2.times(
-          Mat4.translation([-6, 0, 0])
-        );
-        this.shapes.cylinder.draw(
-          context,
-          program_state,
-          left_light_pole_2,
-          this.materials.aluminum
-        );
-        for (let total_3 = 1; total_3 < 4; total_3++) {
-          let left_light = left_light_pole_2.copy();
-          if (this.night_time == true) {
-            left_light = left_light
-              .times(Mat4.scale([2, 2, 1 / 15]))
-              .times(Mat4.translation([0, 1, -5]));
-            this.shapes.ball_4.draw(
-              context,
-              program_state,
-              left_light,
-              this.materials.lights
-            );
-            left_light = left_light.times(Mat4.translation([0, 0, 5]));
-            this.shapes.ball_4.draw(
-              context,
-              program_state,
-              left_light,
-              this.materials.lights
-            );
-            left_light = left_light.times(Mat4.translation([0, 0, 5]));
-            this.shapes.ball_4.draw(
-              context,
-              program_state,
-              left_light,
-              this.materials.lights
-            );
-          } else {
-            left_light = left_light
-              .times(Mat4.scale([2, 2, 1 / 15]))
-              .times(Mat4.translation([0, 1, -5]));
-            this.shapes.ball_4.draw(
-              context,
-              program_state,
-              left_light,
-              this.materials.lights.override(lights_on)
-            );
-            left_light = left_light.times(Mat4.translation([0, 0, 5]));
-            this.shapes.ball_4.draw(
-              context,
-              program_state,
-              left_light,
-              this.materials.lights.override(lights_on)
-            );
-            left_light = left_light.times(Mat4.translation([0, 0, 5]));
-            this.shapes.ball_4.draw(
-              context,
-              program_state,
-              left_light,
-              this.materials.lights.override(lights_on)
-            );
-          }
-        }
-      }
-    }
-
     /******************** BASES AND DIRT ********************/
-    const dirt_mod = this.night_time ? {ambient: 0.6} : {ambient: 0.8};
+    const dirt_mod = { ambient: this.clock.between(0.6, 0.8) };
 
     let home_dirt = model_transform.copy();
 
@@ -1974,22 +2321,11 @@ class Final_Project extends Scene {
 
     /******************** pooh ********************/
 
-    if (this.toggle_swing) {
-      this.curr_swing_time = t;
-      this.swing_bat = true;
-      this.toggle_swing = false;
-    }
-
-    const swing_diff = t - this.curr_swing_time;
-
-    let pooh_transform = Mat4.identity()
-      .times(Mat4.translation([this.batter_x, -6, 3]))
-      .times(Mat4.rotation(-1, Vec.of(0, 1, 0)));
+    // The swing is drawn at the same moment as the ball, between the world's
+    // last two steps:
+    const swing_diff = this.swing_time(this.world.drawn_time());
 
-    if (this.swing_bat)
-      pooh_transform = pooh_transform.times(
-        Mat4.rotation(-0.1 - 1 * Math.cos(swing_diff * 8.1), Vec.of(0, 1, 0))
-      );
+    let pooh_transform = batter_location(this.batter_x, swing_diff);
 
     this.shapes.ball_6.draw(
       context,
@@ -2104,7 +2440,7 @@ class Final_Project extends Scene {
       .times(Mat4.translation([-0.7, -3, 0]))
       .times(Mat4.scale([0.4, 1, 0.4]));
 
-    if (this.swing_bat) {
+    if (swing_diff != null) {
       pooh_left_leg = pooh_left_leg
         .times(Mat4.translation([1.8, 0, 0]))
         .times(
@@ -2124,7 +2460,7 @@ class Final_Project extends Scene {
       .times(Mat4.translation([0.7, -3, 0]))
       .times(Mat4.scale([0.4, 1, 0.4]));
 
-    if (this.swing_bat) {
+    if (swing_diff != null) {
       pooh_right_leg = pooh_right_leg
         .times(Mat4.translation([-1.8, 0, 0]))
         .times(
@@ -2258,166 +2594,156 @@ class Final_Project extends Scene {
       this.materials.light_skin
     );
 
-    /******************** BAT ********************/
+    /******************** runners ********************/
 
-    let bat = pooh_transform.copy();
+    this.runners = this.runners.filter(runner =>
+      this.draw_runner(context, program_state, runner)
+    );
 
-    if (this.swing_bat && swing_diff >= Math.PI / 4) {
-      this.swing_bat = false;
-    }
+    /******************** BAT ********************/
 
-    if (this.swing_bat) {
-      // first half of swing
-      if (swing_diff < Math.PI / 40) {
-        bat = bat
-          .times(Mat4.translation([0, -1.2, -2]))
-          .times(
-            Mat4.rotation(
-              -0.62 - 0.5 * Math.cos(swing_diff * 15 + Math.PI),
-              Vec.of(1, 0, 0)
-            )
-          )
-          .times(
-            Mat4.rotation(-1.9 * Math.cos(swing_diff * 15) + 2, Vec.of(0, 1, 0))
-          )
-          .times(Mat4.translation([0, 1.5, 2]))
-          .times(Mat4.translation([0, 1, -2]))
-          .times(Mat4.translation([0, -2.3, 0]))
-          .times(Mat4.rotation(0.5, Vec.of(1, 0, 0)))
-          .times(Mat4.rotation(-0.3, Vec.of(0, 0, 1)))
-          .times(Mat4.translation([0, 2.3, 0]))
-          .times(Mat4.scale([2.7, 1.5, 2.7]));
-      }
-      // second half of swing
-      else {
-        bat = bat
-          .times(Mat4.translation([0, -1.2, -2]))
-          .times(Mat4.rotation(-1.12, Vec.of(1, 0, 0)))
-          .times(Mat4.rotation(3.9, Vec.of(0, 1, 0)))
-          .times(
-            Mat4.rotation(
-              Math.sin((swing_diff - Math.PI / 12) * 10),
-              Vec.of(1, 1, 0)
-            )
-          )
-          .times(Mat4.translation([0, 1.5, 2]))
-          .times(Mat4.translation([0, 1, -2]))
-          .times(Mat4.translation([0, -2.3, 0]))
-          .times(Mat4.rotation(0.5, Vec.of(1, 0, 0)))
-          .times(Mat4.rotation(-0.3, Vec.of(0, 0, 1)))
-          .times(Mat4.translation([0, 2.3, 0]))
-          .times(Mat4.scale([2.7, 1.5, 2.7]));
-      }
-    } else {
-      bat = bat
-        .times(Mat4.translation([0, -1.2, -2]))
-        .times(Mat4.translation([0, 1.2, 2]))
-        .times(Mat4.translation([0, 1, -2]))
-        .times(Mat4.translation([0, -2.3, 0]))
-        .times(Mat4.rotation(0.5, Vec.of(1, 0, 0)))
-        .times(Mat4.rotation(-0.3, Vec.of(0, 0, 1)))
-        .times(Mat4.translation([0, 2.3, 0]))
-        .times(Mat4.scale([2.7, 1.5, 2.7]));
-    }
+    const bat = bat_location(this.batter_x, swing_diff);
 
     this.shapes.bat.draw(context, program_state, bat, this.materials.aluminum);
 
     /******************** BASEBALL ********************/
 
-    let baseball = pitcher_right_arm.copy();
-
-    // bat
-    if (this.bodies.length < 1) {
-      this.bodies.push(
-        new Body(
-          this.shapes.cylinder,
-          this.materials.aluminum,
-          Vec.of(0.08, 0.08, 0.4)
-        ).emplace(
-          bat
-            .times(Mat4.translation([0, 1, 0]))
-            .times(Mat4.rotation(1.5708, Vec.of(1, 0, 0))),
-          Vec.of(0, 0, 0),
-          0
-        )
-      );
-    }
-    // ball
-    if (this.pitch_time && this.bodies.length < 2) {
-      this.pitch_timer = t;
-      this.pitch_time = false;
-    }
     if (
-      t > this.pitch_timer + 2 &&
-      this.bodies.length < 2 &&
-      this.pitch_count > -1 &&
+      this.show_strike_zone &&
       this.current_game_state == this.game_state.started
-    ) {
-      this.pitch_time = false;
-      this.pitch_count = this.pitch_count - 1;
-      const speed = getRandomInt(10, 18);
-      const xy = getRandomInt(-2, 3) * 0.3;
-      this.bodies.push(
-        new Body(
-          this.shapes.ball_4,
-          this.materials.baseball,
-          Vec.of(0.5, 0.5, 1)
-        ).emplace(
-          baseball.times(Mat4.translation([-3, -1, -7])),
-          Vec.of(0.4 + xy, 0, speed),
-          0
-        )
+    )
+      this.shapes.box.draw(
+        context,
+        program_state,
+        this.strike_zone.location_matrix,
+        this.materials.strike_zone
       );
-    }
-
-    for (let b of this.bodies) {
-      if (b.shape == this.shapes.cylinder) {
-        b = b.emplace(
-          bat
-            .times(Mat4.translation([0, 1, 0]))
-            .times(Mat4.rotation(1.5708, Vec.of(1, 0, 0))),
-          Vec.of(0, 0, 0),
-          0
-        );
-      }
-    }
 
-    ///////////////////* NEW ANIMATION CODE*////////////
-    this.simulate(program_state.animation_delta_time);
     // Draw each shape at its current location:
     if (this.current_game_state == this.game_state.started) {
-      for (let b of this.bodies) {
+      for (let b of this.world.bodies) {
         b.shape.draw(context, program_state, b.drawn_location, b.material);
       }
-      const { intersect_test, points, leeway } = this.collider;
-
-      if (this.ball_hit) {
-        for (let b of this.bodies) {
-          if (b.shape == this.shapes.ball_4) {
-            this.camera_teleporter.cameras.push(
-              Mat4.inverse(
-                b.drawn_location
-                  .times(Mat4.translation([0, 10, 0]))
-                  .times(Mat4.rotation(-Math.PI / 2, Vec.of(0, 1, 0)))
-                  .times(Mat4.rotation(-0.55, Vec.of(1, 0, 0)))
-                  .times(Mat4.translation([0, 5, 80]))
-              )
-            );
-            this.camera_teleporter.enabled = true;
-            this.camera_teleporter.increase();
-          }
-        }
-      }
     }
   }
 
-  update_state(
-    dt // update_state(): Your subclass of Simulation has to override this abstract function.
-  ) {
-    throw "Override this";
+  draw_final_score(context, program_state, title_text) {
+    // draw_final_score(): Add the line score of a finished "Play Ball" game
+    // under the text of the win and lose screens.
+    if (this.game_mode != this.game_modes.play_ball) return;
+    let line_score = title_text
+      .times(Mat4.translation([0, -4, 0]))
+      .times(Mat4.scale([0.5, 0.5, 0.5]));
+    for (let team = 0; team < 2; team++) {
+      this.shapes.long_text.set_string(
+        this.game.line_score_string(team),
+        context.context
+      );
+      this.shapes.long_text.draw(
+        context,
+        program_state,
+        line_score,
+        this.materials.text_image
+      );
+      line_score = line_score.times(Mat4.translation([0, -3, 0]));
+    }
+  }
+
+  draw_runner(context, program_state, runner) {
+    // draw_runner(): Draw a little bear running the base paths, legs pumping
+    // until it reaches its base.  Returns false once a runner has crossed
+    // home, so it can be taken off the field.
+    const bases_run = (this.world.t - runner.start) / this.seconds_per_base;
+    const { position, direction, arrived } = base_path_point(
+      runner.from,
+      runner.to,
+      bases_run
+    );
+    if (arrived && runner.to == 4) return false;
+
+    const stride = arrived ? 0 : 0.6 * Math.sin(bases_run * 6 * Math.PI);
+    const runner_transform = Mat4.translation(position).times(
+      Mat4.rotation(
+        Math.atan2(direction[0], direction[2]) + Math.PI,
+        Vec.of(0, 1, 0)
+      )
+    );
+
+    this.shapes.ball_6.draw(
+      context,
+      program_state,
+      runner_transform
+        .times(Mat4.translation([0, 2.6, 0]))
+        .times(Mat4.scale([0.9, 1.1, 0.9])),
+      this.materials.shirt
+    );
+    this.shapes.ball_6.draw(
+      context,
+      program_state,
+      runner_transform
+        .times(Mat4.translation([0, 4.3, 0]))
+        .times(Mat4.scale([0.7, 0.7, 0.7])),
+      this.materials.fur_color
+    );
+    for (let side of [-1, 1]) {
+      const leg = runner_transform
+        .times(Mat4.translation([0.4 * side, 1.6, 0]))
+        .times(Mat4.rotation(side * stride, Vec.of(1, 0, 0)))
+        .times(Mat4.translation([0, -0.8, 0]))
+        .times(Mat4.scale([0.25, 0.8, 0.25]));
+      this.shapes.box.draw(
+        context,
+        program_state,
+        leg,
+        this.materials.fur_color
+      );
+    }
+    return true;
   }
 }
 
+// Everything a saved state of the game keeps, besides the world's bodies and
+// clock (see save_state()):
+Final_Project.state_keys = [
+  "current_game_state",
+  "game_mode",
+  "game",
+  "current_game_level",
+  "game_score",
+  "game_target",
+  "pitch_count",
+  "inputs",
+  "batter_x",
+  "swing_bat",
+  "curr_swing_time",
+  "ball_hit",
+  "ball_just_hit",
+  "ball_bounced",
+  "ball_tipped",
+  "pitch_time",
+  "pitch_timer",
+  "count",
+  "pitch_swung",
+  "pitch_in_zone",
+  "last_call",
+  "batted_ball_call",
+  "batted_ball_call_time",
+  "pitch_type",
+  "pitch_mph",
+  "pitch_readout",
+  "hit_readout",
+  "contact",
+  "flight_model",
+  "swing_history",
+  "swing_time_to_plate",
+  "contact_time",
+  "landing",
+  "landing_time",
+  "runners",
+  "pitch_random",
+  "inning_random"
+];
+
 const Additional_Scenes = [];
 
 export {
@@ -2429,155 +2755,72 @@ export {
   defs
 };
 
-const Camera_Teleporter = (defs.Camera_Teleporter = class Camera_Teleporter extends Scene {
-  // **Camera_Teleporter** is a helper Scene meant to be added as a child to
-  // your own Scene.  It adds a panel of buttons.  Any matrices externally
-  // added to its "this.cameras" can be selected with these buttons. Upon
-  // selection, the program_state's camera matrix slowly (smoothly)
-  // linearly interpolates itself until it matches the selected matrix.
-  constructor() {
-    super();
-    this.cameras = [];
-    this.selection = 0;
-  }
-  make_control_panel() {
-    // make_control_panel(): Sets up a panel of interactive HTML elements, including
-    // buttons with key bindings for affecting this scene, and live info readouts.
-
-    this.key_triggered_button("Enable", ["e"], () => (this.enabled = true));
-    this.key_triggered_button(
-      "Disable",
-      ["Shift", "E"],
-      () => (this.enabled = false)
-    );
-    this.new_line();
-    this.key_triggered_button("Previous location", ["g"], this.decrease);
-    this.key_triggered_button("Next", ["h"], this.increase);
-    this.new_line();
-    this.live_string(box => {
-      box.textContent = "Selected camera location: " + this.selection;
-    });
-  }
-  increase() {
-    this.selection = Math.min(
-      this.selection + 1,
-      Math.max(this.cameras.length - 1, 0)
-    );
-  }
-  decrease() {
-    this.selection = Math.max(this.selection - 1, 0);
-  } // Don't allow selection of negative indices.
-  display(context, program_state) {
-    const desired_camera = this.cameras[this.selection];
-    if (!desired_camera || !this.enabled) return;
-    const dt = program_state.animation_delta_time;
-    program_state.set_camera(
-      desired_camera.map((x, i) =>
-        Vec.from(program_state.camera_inverse[i]).mix(x, 0.01 * dt)
-      )
-    );
-    program_state.projection_transform = Mat4.perspective(
-        Math.PI / 4,
-        context.width / context.height,
-        1,
-        2500
-      );
-  }
-});
-
 class Baseball extends Final_Project {
-  constructor() {
-    super();
+  // **Baseball** plays each pitch by the rules in at-bat.js, and lets the
+  // batter see and hear how it went.
+  bat_meets_ball(ball) {
+    super.bat_meets_ball(ball);
+    this.sounds.crack.play();
+    this.slow_motion.hit();
   }
   update_state(dt) {
     // update_state():  Override the base time-stepping code to say what this particular
     // scene should do to its bodies every frame -- including applying forces.
-    // Generate additional moving bodies if there ever aren't enough:
-    if (!this.ball_hit) {
-      for (let a of this.bodies) {
-        // Cache the inverse of matrix of body "a" to save time.
-        a.inverse = Mat4.inverse(a.drawn_location);
-        a.material = this.materials.baseball;
-        
-        for (let b of this.bodies) {
-          // Pass the two bodies and the collision shape to check_if_colliding():
-          if (!a.check_if_colliding(b, this.collider)) continue;
-
-          this.sounds.crack.play();
-          this.ball_hit = true;
-          b.angular_velocity = 0;
-        }
-      }
+    // The world has already bounced the ball off anything it hit.
+    if (!this.ball_hit)
+      for (let b of this.world.bodies) b.material = this.materials.baseball;
+    super.update_state();
+  }
+  drive_ball(bat, ball) {
+    super.drive_ball(bat, ball);
+    this.hit_readout = radar_readout(this.contact);
+  }
+  settle(ball) {
+    // settle(): Give the batter a moment to read the call before the next
+    // pitch comes in.
+    super.settle(ball);
+    this.pitch_time = true;
+  }
+  call_batted_ball(landing, at_fence = false) {
+    // call_batted_ball(): Show the call, and give each call its own sound.
+    const call = super.call_batted_ball(landing, at_fence);
+    this.show_batted_ball_call(call);
+    if (call == batted_ball_calls.foul) this.sounds.foul.play();
+    else if (call == batted_ball_calls.home_run) {
+      //HOMERUN
+      this.game_score++;
+      this.sounds.homerun.play();
+      if (!this.replay) this.director.play(this.home_run_orbit());
     }
-
-    if (this.bodies.length > 1) {
-      let ball = this.bodies[1];
-
-      /*********THIS IS AFTER THE BALL IS HIT*************/
-      if (this.ball_hit) {
-        if (ball.linear_velocity[2] > 0) {
-          ball.linear_velocity[0] = (ball.center[2] + 1) * 5;
-          ball.linear_velocity[1] += Math.floor(Math.random() * 21) + 10; //goes airborne!
-          ball.linear_velocity[2] *= -Math.min(
-            3.6,
-            Math.abs(ball.center[2]) * 3
-          );
-        }
-
-        ball.linear_velocity[1] += dt * -9.8;
-        // If about to fall through floor, reverse y velocity:
-        if (ball.center[1] < -9.7 && ball.linear_velocity[1] < 0) {
-          if (!this.ball_bounced) {
-            this.ball_bounced = true;
-            let x = ball.center[0];
-            let z = ball.center[2];
-            if (Math.abs(x) < 150 && Math.abs(z) > 160 - Math.abs(x)) {
-              //HOMERUN
-              this.game_score++;
-              this.sounds.homerun.play();
-            } else {
-              //NOT HOMERUN
-              this.sounds.no_homerun.play();
-            }
-          }
-          ball.linear_velocity[0] *= 0.6;
-          ball.linear_velocity[1] *= -0.6;
-          ball.linear_velocity[2] *= 0.6;
-          ball.angular_velocity *= 0.5;
-        }
-
-        if (ball.linear_velocity.norm() < 2 && ball.center[1] < -9.7)
-          ball.linear_velocity[1] = 0;
-      }
-
-      if (this.ball_hit) {
-        this.bodies = this.bodies.filter(b => {
-          if (b.center.norm() < 300) {
-            this.pitch_time = true;
-          }
-          return b.center.norm() < 300;
-        });
-        for (let b of this.bodies) {
-          if (b.center.norm() < 90) this.camera_teleporter.decrease();
-        }
-      } else {
-        this.bodies = this.bodies.filter(b => b.center.norm() < 40);
-      }
-
-      if (this.bodies.length < 2) {
-        this.ball_hit = false;
-        this.ball_bounced = false;
-      } else {
-        if (ball.linear_velocity.every(v => Math.abs(v) < 0.5)) {
-          this.ball_hit = false;
-          this.ball_bounced = false;
-          this.bodies.pop();
-        }
-      }
+    //NOT HOMERUN
+    else this.sounds.no_homerun.play();
+    return call;
+  }
+  call_foul_tip() {
+    super.call_foul_tip();
+    this.show_batted_ball_call(batted_ball_calls.foul_tip);
+    this.sounds.foul_tip.play();
+  }
+  show_batted_ball_call(call) {
+    this.batted_ball_call = call;
+    this.batted_ball_call_time = this.world.t;
+  }
+  game_in_progress() {
+    return this.game_mode == this.game_modes.play_ball ? this.game : null;
+  }
+  advance_runners(moves) {
+    // advance_runners(): Start each move from the figure standing on (or
+    // headed to) its starting base, or from a new figure for the batter.
+    for (let [from, to] of moves) {
+      let runner = from > 0 && this.runners.find(r => r.to == from);
+      if (!runner) this.runners.push((runner = {}));
+      Object.assign(runner, { from, to, start: this.world.t });
     }
-
-    // if (b.linear_velocity[1] == 0) this.bodies.pop();
-    // Delete bodies that stop or stray too far away:
+  }
+  clear_bases() {
+    // clear_bases(): The runners left on base go back to the dugout after
+    // the third out.
+    this.runners = [];
   }
 }
 
@@ -0,0 +1,346 @@
+import { tiny, defs } from "./resources.js";
+import { Quaternion } from "./quaternion.js";
+import { integrators } from "./integrators.js";
+import { Sphere, collide, time_of_impact } from "./collision.js";
+import { bounce } from "./surfaces.js";
+
+const { Vec, Mat4 } = tiny;
+
+// The physics of a scene, kept apart from drawing it: moving bodies, the fixed
+// colliders they run into, and the world that steps them and reports what
+// touched what.  Nothing here needs a canvas, so a scene's gameplay can run
+// (and be tested) without WebGL.
+
+const Body = (defs.Body = class Body {
+  // **Body** can store and update the properties of a 3D body that incrementally
+  // moves from its previous place due to velocities.  It conforms to the
+  // approach outlined in the "Fix Your Timestep!" blog post by Glenn Fiedler.
+  constructor(shape, material, size) {
+    Object.assign(this, { shape, material, size });
+    // What a Physics_World calls the body in the events it reports:
+    this.name = "body";
+    // How hard (in units/s^2) the body falls, and the method used to step it
+    // forward in time (see integrators.js):
+    this.gravity = 0;
+    this.integrator = integrators.rk4;
+    // The body's solid shape, around its center and turning with it (see
+    // collision.js), and what it's touching:
+    this.collider = null;
+    this.contacts = [];
+    // Where a body steered by hand goes on its next step (see move_to()):
+    this.destination = null;
+  }
+  emplace(
+    location_matrix,
+    linear_velocity,
+    angular_velocity,
+    spin_axis = Vec.of(0, 0, 0)
+      .randomized(1)
+      .normalized()
+  ) {
+    // emplace(): assign the body's initial values, or overwrite them.
+    this.place(location_matrix);
+    this.previous = {
+      center: this.center.copy(),
+      orientation: this.orientation.copy()
+    };
+    // drawn_location gets replaced with an interpolated quantity:
+    this.drawn_location = location_matrix;
+    return Object.assign(this, {
+      linear_velocity,
+      angular_velocity,
+      spin_axis
+    });
+  }
+  place(location_matrix) {
+    // place(): Put the body where "location_matrix" says.
+    this.center = location_matrix.times(Vec.of(0, 0, 0, 1)).to3();
+    // Split the rest of the matrix into a rotation, kept as a quaternion, and
+    // whatever scaling it did before rotating, which stays fixed:
+    const linear = Mat4.translation(this.center.times(-1)).times(
+      location_matrix
+    );
+    this.orientation = Quaternion.from_matrix(linear);
+    this.stretch = this.orientation
+      .to_matrix()
+      .transposed()
+      .times(linear);
+  }
+  move_to(location_matrix) {
+    // move_to(): Move a body that's steered by hand, like the bat, instead of
+    // by its velocities.  It gets to "location_matrix" on its next advance(),
+    // which keeps where it was as this.previous like any other move, so that
+    // balls are swept against the whole of it.
+    this.destination = location_matrix;
+  }
+  copy() {
+    // copy(): A body in the same state as this one, that can move on without
+    // moving it.  A body's vectors are replaced rather than changed as it
+    // moves, so they can be shared.
+    return Object.assign(Object.create(Body.prototype), this, {
+      contacts: [...this.contacts]
+    });
+  }
+  acceleration(center, velocity) {
+    // acceleration(): The acceleration the body feels at "center" while moving
+    // at "velocity": gravity, plus any break and air forces on a spinning ball.
+    let acceleration = Vec.of(0, -this.gravity, 0);
+    // A spinning ball curves, pushed "spin_break" units/s^2 hard along its spin
+    // axis crossed with its direction of travel:
+    if (this.spin_break && velocity.norm())
+      acceleration = acceleration.plus(
+        this.spin_axis.cross(velocity.normalized()).times(this.spin_break)
+      );
+    // A body given a flight model also feels the air: drag, and lift from its
+    // spin.
+    if (this.flight_model && this.flight_model.has_air())
+      acceleration = acceleration.plus(
+        this.flight_model.air_acceleration(
+          velocity,
+          this.spin_axis,
+          this.angular_velocity
+        )
+      );
+    return acceleration;
+  }
+  advance(time_amount) {
+    // advance(): Step the body's place and velocities time_amount seconds
+    // forward, using its integrator for the linear motion.
+    this.previous = {
+      center: this.center.copy(),
+      orientation: this.orientation.copy()
+    };
+    this.contacts = [];
+    if (this.destination) {
+      this.place(this.destination);
+      this.destination = null;
+      return;
+    }
+    this.integrator.step(this, time_amount);
+    // Spin doesn't change within a step, so turning it is exact:
+    this.orientation = Quaternion.from_axis_angle(
+      time_amount * this.angular_velocity,
+      this.spin_axis
+    )
+      .times(this.orientation)
+      .normalized();
+  }
+  blend_state(alpha) {
+    // blend_state(): Compute the final matrix we'll draw using the previous two physical
+    // locations the object occupied.  We'll interpolate between these two states as
+    // described at the end of the "Fix Your Timestep!" blog post, slerping the
+    // rotation so that it never shears.
+    const rotation = this.previous.orientation.slerp(this.orientation, alpha);
+    this.drawn_location = Mat4.translation(
+      this.previous.center.mix(this.center, alpha)
+    )
+      .times(rotation.to_matrix())
+      .times(this.stretch)
+      .times(Mat4.scale(this.size));
+  }
+  placement({ center, orientation } = this) {
+    // placement(): The matrix that puts the body's collider where the body
+    // is now, or where it was in another state like this.previous.
+    return Mat4.translation(center).times(orientation.to_matrix());
+  }
+  placed_collider() {
+    // placed_collider(): The body's collider, moved to where the body is now.
+    return this.collider.placed(this.placement());
+  }
+  check_if_colliding(other) {
+    // check_if_colliding(): Collision detection function.  Finds where this
+    // body touches "other", which is either another body or a fixed collider
+    // like the ground.  Returns the contact (see collide()), or null if they
+    // don't touch.  Contacts found are also kept in this.contacts until the
+    // body next advances.
+    if (this == other) return null; // Nothing collides with itself.
+    if (!this.collider || (other instanceof Body && !other.collider))
+      return null;
+    const contact = collide(
+      this.placed_collider(),
+      other instanceof Body ? other.placed_collider() : other
+    );
+    if (contact) this.contacts.push({ other, ...contact });
+    return contact;
+  }
+  time_of_impact(other) {
+    // time_of_impact(): Continuous collision detection for a body whose
+    // collider is a sphere.  Sweeps it from this.previous to where it is now,
+    // and returns how far through that step (from 0 to 1) it first touched
+    // "other", a body or a fixed collider, or null if it didn't.  Another body
+    // is followed along its own step too, by sweeping in its frame of
+    // reference.
+    if (this == other || !(this.collider instanceof Sphere)) return null;
+    const sphere_center = state =>
+      this.placement(state).times(this.collider.center.to4(1));
+    let [from, to] = [sphere_center(this.previous), sphere_center(this)];
+    let shape = other;
+    if (other instanceof Body) {
+      if (!other.collider) return null;
+      from = Mat4.inverse(other.placement(other.previous)).times(from);
+      to = Mat4.inverse(other.placement()).times(to);
+      shape = other.collider;
+    }
+    return time_of_impact(from.to3(), to.to3(), this.collider.radius, shape);
+  }
+  center_at_impact(other, time) {
+    // center_at_impact(): Where this body's center was "time" (from 0 to 1)
+    // through its last step, such as when it met "other" (see
+    // time_of_impact()).  Against another body, that's where it was next to
+    // that body then, put where that body is now, since it moved too.
+    if (!(other instanceof Body))
+      return this.previous.center.mix(this.center, time);
+    const from = Mat4.inverse(other.placement(other.previous)).times(
+      this.previous.center.to4(1)
+    );
+    const to = Mat4.inverse(other.placement()).times(this.center.to4(1));
+    return other
+      .placement()
+      .times(from.mix(to, time))
+      .to3();
+  }
+  bounce_off(other, surface) {
+    // bounce_off(): Keep a ball (a body whose collider is a sphere) from
+    // passing into "other", a body or a fixed collider, and bounce it off
+    // with the impulse "surface" pushes back with (see surfaces.js).  A ball
+    // that passed into it during the last step is first backed up to where
+    // it touched.  Returns the contact, or null if they aren't touching.
+    const time = this.time_of_impact(other);
+    if (time == null) return null;
+    if (time > 0) this.center = this.center_at_impact(other, time);
+    const shape = other instanceof Body ? other.placed_collider() : other;
+    const sphere = this.placed_collider();
+    const { point, normal, distance } = shape.nearest(sphere.center);
+    const depth = sphere.radius - distance;
+    if (depth < 0) return null;
+    this.center = this.center.plus(normal.times(depth));
+    bounce(this, normal, sphere.radius, surface);
+    const contact = { point, normal, depth };
+    this.contacts.push({ other, ...contact });
+    return contact;
+  }
+});
+
+const Physics_World = (defs.Physics_World = class Physics_World {
+  // **Physics_World** owns a scene's bodies and fixed colliders, and steps
+  // them forward with a fixed time step.  New bodies fall with the world's
+  // gravity and are stepped with its integrator.  Balls (bodies whose
+  // collider is a sphere) bounce off the fixed colliders by the impulse of
+  // each one's surface.  Bodies pass through each other, but a scene can
+  // subscribe to hear when they meet.
+  //
+  // Scenes subscribe with on() to the events the world emits:
+  //   "step" (dt):  Every step, before the bodies advance, to apply forces
+  //      or game rules.
+  //   "<body> hit <other>" ({ body, other, contact }):  A body bounced off
+  //      the fixed collider with that name, like "ball hit ground".
+  //   "<body> hit <body>" ({ body, other, time }):  A ball met another body
+  //      with a collider, "time" (from 0 to 1) through the last step, like
+  //      "ball hit bat".  Only pairs someone is listening for are checked.
+  constructor({ dt = 1 / 20, gravity = 0, integrator = integrators.rk4 } = {}) {
+    Object.assign(this, {
+      dt,
+      gravity,
+      integrator,
+      time_accumulator: 0,
+      time_scale: 1,
+      t: 0,
+      steps_taken: 0,
+      bodies: [],
+      colliders: [],
+      listeners: {}
+    });
+  }
+  add(body) {
+    // add(): Put a body into the world, falling with the world's gravity and
+    // stepped with its integrator, either of which can be overridden after.
+    Object.assign(body, { gravity: this.gravity, integrator: this.integrator });
+    this.bodies.push(body);
+    return body;
+  }
+  remove(body) {
+    this.bodies = this.bodies.filter(b => b != body);
+  }
+  add_collider(name, shape, surface) {
+    // add_collider(): Add a fixed collision shape (see collision.js) that
+    // balls bounce off.  "surface" (see surfaces.js) can also be a function
+    // picking the surface at the point a ball is touching.
+    const collider = { name, shape, surface };
+    this.colliders.push(collider);
+    return collider;
+  }
+  on(event, callback) {
+    // on(): Call "callback" with the details every time "event" happens.
+    (this.listeners[event] = this.listeners[event] || []).push(callback);
+  }
+  emit(event, details) {
+    for (let callback of this.listeners[event] || []) callback(details);
+  }
+  simulate(frame_time) {
+    // simulate(): Carefully advance time according to Glenn Fiedler's
+    // "Fix Your Timestep" blog post.
+    // Avoid the spiral of death; limit the amount of time we will spend
+    // computing during this timestep if display lags:
+    frame_time = Math.min(frame_time, 0.1);
+    // This line gives ourselves a way to trick the simulator into thinking
+    // that the display framerate is running fast or slow.  It comes after
+    // the limit, so that any scale slows the world down by just that much:
+    frame_time = this.time_scale * frame_time;
+
+    this.time_accumulator += frame_time;
+    // Repeatedly step the simulation until we're caught up with this frame:
+    while (Math.abs(this.time_accumulator) >= this.dt) {
+      this.step(this.dt);
+      // Following the advice of the article, de-couple
+      // our simulation time from our frame rate:
+      this.t += Math.sign(frame_time) * this.dt;
+      this.time_accumulator -= Math.sign(frame_time) * this.dt;
+    }
+    // Store an interpolation factor for how close our frame fell in between
+    // the two latest simulation time steps, so we can correctly blend the
+    // two latest states and display the result.
+    let alpha = this.time_accumulator / this.dt;
+    for (let b of this.bodies) b.blend_state(alpha);
+  }
+  drawn_time() {
+    // drawn_time(): The moment the bodies are drawn at.  They're blended
+    // between their last two steps, so it trails t by up to a step.
+    return this.t - this.dt + this.time_accumulator;
+  }
+  step(dt) {
+    // step(): Single step of the simulation for all bodies.  Settle what
+    // happened during the last one first, then let the scene have its say
+    // before everything moves on.
+    this.collide();
+    this.emit("step", dt);
+    for (let b of this.bodies) b.advance(dt);
+    this.steps_taken++;
+  }
+  collide() {
+    // collide(): Find what each ball touched during the last step.
+    for (let body of this.bodies) {
+      if (!(body.collider instanceof Sphere)) continue;
+      for (let other of this.bodies) {
+        const event = body.name + " hit " + other.name;
+        if (!this.listeners[event]) continue;
+        const time = body.time_of_impact(other);
+        if (time != null) this.emit(event, { body, other, time });
+      }
+      for (let collider of this.colliders) {
+        const surface =
+          typeof collider.surface == "function"
+            ? collider.surface(body.center)
+            : collider.surface;
+        const contact = body.bounce_off(collider.shape, surface);
+        if (contact)
+          this.emit(body.name + " hit " + collider.name, {
+            body,
+            other: collider,
+            contact
+          });
+      }
+    }
+  }
+});
+
+export { Body, Physics_World };
@@ -0,0 +1,117 @@
+import { tiny } from "./resources.js";
+import { Strike_Zone } from "./game-rules.js";
+import { pitch_types, choose_pitch_type } from "./pitches.js";
+
+const { Vec } = tiny;
+
+// How each level's pitcher thinks: "smarts" is how often the pitcher works the
+// batter instead of throwing whatever comes to mind, and "wildness" is how far
+// (in world units) a pitch can miss the spot it was aimed at.
+const pitcher_profiles = {
+  1: { smarts: 0.1, wildness: 0.5 },
+  2: { smarts: 0.4, wildness: 0.4 },
+  3: { smarts: 0.7, wildness: 0.3 },
+  4: { smarts: 0.9, wildness: 0.2 }
+};
+
+// A swing gets the bat over the plate about this many seconds after it starts:
+const swing_lead = 0.15;
+
+function swing_timing(time_to_plate) {
+  // swing_timing(): Judge a swing by how long the pitch still had to go to
+  // reach the plate when the swing started.
+  const off = time_to_plate - swing_lead;
+  if (off > 0.2) return "early";
+  if (off < -0.15) return "late";
+  return "on_time";
+}
+
+function read_batter(swings) {
+  // read_batter(): What the pitcher has picked up from the batter's last few
+  // swings: which way the timing has been off, and the last pitch type the
+  // batter swung through.
+  const recent = swings.slice(-3);
+  const early = recent.filter(swing => swing.timing == "early").length;
+  const late = recent.filter(swing => swing.timing == "late").length;
+  const whiffs = recent.filter(swing => swing.whiff);
+  return {
+    timing: early >= 2 ? "early" : late >= 2 ? "late" : null,
+    whiffed: whiffs.length ? whiffs[whiffs.length - 1].type : null
+  };
+}
+
+function plan_pitch({ balls, strikes, swings }, random) {
+  // plan_pitch(): Work the count.  Behind in the count, the pitcher needs a
+  // strike and throws whatever the batter is worst at timing into the zone.
+  // Ahead, the pitcher goes for the pitch the batter just swung through, or a
+  // breaking ball, just off the zone to get a chase.  Otherwise the pitcher
+  // plays off the batter's timing and works the corners.
+  const { timing, whiffed } = read_batter(swings);
+  // Slow stuff for a batter out in front, heat for one who's behind:
+  const against_timing =
+    timing == "early" ? "changeup" : timing == "late" ? "fastball" : null;
+  const breaking_ball = random() < 0.5 ? "curveball" : "slider";
+
+  if (balls == 3 || balls - strikes >= 2)
+    return { type: against_timing || "fastball", spot: "zone" };
+  if (strikes == 2) return { type: whiffed || breaking_ball, spot: "chase" };
+  return {
+    type: against_timing || (random() < 0.5 ? "fastball" : breaking_ball),
+    spot: "edge"
+  };
+}
+
+function aim(spot, random) {
+  // aim(): A point over the plate for the spot the pitcher is going for, as
+  // an offset from the middle of the zone in units of the zone's half size.
+  const side = () => (random() < 0.5 ? -1 : 1);
+  switch (spot) {
+    case "zone":
+      return [(random() - 0.5) * 1.2, (random() - 0.5) * 1.2];
+    case "edge":
+      return [0.85 * side(), 0.8 * side()];
+    case "chase":
+      // Either under the zone, or off the outside corner, away from the
+      // batter standing on the left of the plate:
+      return random() < 0.5
+        ? [(random() - 0.5) * 1.6, -1.6]
+        : [1.6, (random() - 0.5) * 1.6];
+    default:
+      return [(random() - 0.5) * 3.2, (random() - 0.5) * 3.2];
+  }
+}
+
+function choose_pitch(state, random = Math.random) {
+  // choose_pitch(): Decide on the next pitch from the state of the at bat:
+  // the pitcher's "level", the "balls" and "strikes" in the count, and the
+  // batter's recent "swings" (each one a { type, timing, whiff } record).
+  // Returns the pitch type, its speed, and the point over the plate it's
+  // aimed at.  Everything random is drawn from "random", so the same state
+  // and random sequence always give the same pitch.
+  const profile = pitcher_profiles[state.level] || pitcher_profiles[1];
+  const { type, spot } =
+    random() < profile.smarts
+      ? plan_pitch(state, random)
+      : { type: choose_pitch_type(state.level, random), spot: "anywhere" };
+
+  const [speed_low, speed_high] = pitch_types[type].speeds;
+  const speed = speed_low + random() * (speed_high - speed_low);
+
+  const zone = Strike_Zone.default_location;
+  const [x, y] = aim(spot, random);
+  const miss = () => (random() - 0.5) * 2 * profile.wildness;
+  const target = Vec.of(
+    zone[0][3] + x * zone[0][0] + miss(),
+    zone[1][3] + y * zone[1][1] + miss(),
+    zone[2][3]
+  );
+  return { type, speed, target };
+}
+
+export {
+  pitcher_profiles,
+  swing_lead,
+  swing_timing,
+  read_batter,
+  choose_pitch
+};
@@ -0,0 +1,98 @@
+import { tiny } from "./resources.js";
+
+const { Vec } = tiny;
+
+// Every pitch type comes in its own range of speeds (in world units per
+// second, the pitch traveling towards +z), and spins about its own axis.  Its
+// "break" is how hard that spin pushes it sideways, in units per second
+// squared, along the spin axis crossed with the direction of travel:
+const pitch_types = {
+  fastball: {
+    name: "Fastball",
+    speeds: [16, 18],
+    spin_axis: Vec.of(-1, 0, 0),
+    spin: 12,
+    break: 0.3
+  },
+  changeup: {
+    name: "Changeup",
+    speeds: [12, 14],
+    spin_axis: Vec.of(1, -1, 0).normalized(),
+    spin: 6,
+    break: 0.5
+  },
+  curveball: {
+    name: "Curveball",
+    speeds: [11, 13],
+    spin_axis: Vec.of(1, 0.4, 0).normalized(),
+    spin: 10,
+    break: 0.9
+  },
+  slider: {
+    name: "Slider",
+    speeds: [13, 15],
+    spin_axis: Vec.of(0.3, 1, 0).normalized(),
+    spin: 10,
+    break: 0.8
+  }
+};
+
+// Where the pitcher's hand lets go of each pitch, as the pitcher is drawn on
+// the mound:
+const release_point = Vec.of(-1.32, -7, -24.51);
+
+// How often each pitch type gets thrown at each level.  Later levels don't
+// throw any harder; they just lean on the breaking balls:
+const pitch_mix = {
+  1: { fastball: 6, changeup: 2, curveball: 1, slider: 1 },
+  2: { fastball: 4, changeup: 2, curveball: 2, slider: 2 },
+  3: { fastball: 3, changeup: 2, curveball: 3, slider: 3 },
+  4: { fastball: 2, changeup: 2, curveball: 4, slider: 4 }
+};
+
+function choose_pitch_type(level, random = Math.random) {
+  // choose_pitch_type(): Pick a pitch type for the level, by its pitch_mix.
+  const mix = pitch_mix[level] || pitch_mix[1];
+  const total = Object.values(mix).reduce((sum, weight) => sum + weight, 0);
+  let roll = random() * total;
+  for (let type in mix) if ((roll -= mix[type]) < 0) return type;
+  return "fastball";
+}
+
+function break_acceleration(type) {
+  // break_acceleration(): The sideways push on a pitch of this type, taking
+  // its direction of travel to be straight towards the plate.
+  const { spin_axis } = pitch_types[type];
+  return spin_axis.cross(Vec.of(0, 0, 1)).times(pitch_types[type].break);
+}
+
+function pitch_velocity(type, from, target, speed) {
+  // pitch_velocity(): The velocity to release a pitch with, from point "from",
+  // so that it breaks into point "target" over the plate.  The pitch covers
+  // the distance at "speed", so aim at the target minus how far it will break
+  // by then (half the acceleration times the time squared).
+  const time = (target[2] - from[2]) / speed;
+  const velocity = target
+    .minus(from)
+    .times(1 / time)
+    .minus(break_acceleration(type).times(time / 2));
+  velocity[2] = speed;
+  return velocity;
+}
+
+function radar_mph(speed) {
+  // radar_mph(): The field is built around 2.2 feet to the unit, but pitches
+  // come in slowly enough to be hittable; the radar gun scales them up so they
+  // read like big league pitch speeds.
+  return Math.round(speed * 5.4);
+}
+
+export {
+  pitch_types,
+  release_point,
+  pitch_mix,
+  choose_pitch_type,
+  break_acceleration,
+  pitch_velocity,
+  radar_mph
+};
@@ -0,0 +1,254 @@
+import { tiny, defs } from "./resources.js";
+
+const { Vec, Mat4, Color, Material, Framebuffer } = tiny;
+
+// Finishing each frame off after it's drawn, like a TV broadcast does.  The
+// frame is drawn into an offscreen image (a tiny.Framebuffer) instead of the
+// canvas, and then a chain of full screen effects each redraw the image the
+// one before left, the last of them onto the canvas.  Every effect is one or
+// more passes of a Post_Shader (see resources.js).
+
+const Post_Processing = (defs.Post_Processing = class Post_Processing {
+  // **Post_Processing** runs its "effects" in order over each frame, leaving
+  // out any turned off or with nothing to do (see idle()).  A scene calls
+  // begin() before it draws a frame, once it's told the effects what to do
+  // with it, and finish() after.  An effect has a "label", whether it's "on",
+  // and apply(chain, webgl_manager, program_state, image, target), which
+  // draws "image" (a Framebuffer) through its passes (see pass()) into
+  // "target" (another, or null for the canvas).  An "extra" effect only runs
+  // along with others.  Without any effects to run, frames go straight to the
+  // canvas.
+  constructor(effects) {
+    this.effects = effects;
+    this.targets = {};
+    this.running = [];
+    this.screen = new defs.Square();
+  }
+  target(webgl_manager, name, scale = 1, depth = false) {
+    // target(): An offscreen image by "name", kept from frame to frame and
+    // sized to "scale" times the canvas, with a depth buffer if "depth".
+    const width = Math.max(Math.round(webgl_manager.width * scale), 1);
+    const height = Math.max(Math.round(webgl_manager.height * scale), 1);
+    if (!this.targets[name])
+      this.targets[name] = new Framebuffer(width, height, depth);
+    this.targets[name].resize(width, height);
+    return this.targets[name];
+  }
+  begin(webgl_manager) {
+    // begin(): Start a frame, which is drawn offscreen if any effects will
+    // run over it.  The canvas was cleared for the frame already, but the
+    // offscreen image still holds the last one.
+    this.running = this.effects.filter(e => e.on && !(e.idle && e.idle()));
+    if (this.running.every(e => e.extra)) this.running = [];
+    if (!this.running.length) return;
+    const gl = webgl_manager.context;
+    this.target(webgl_manager, "frame", 1, true).draw_into(gl);
+    gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+  }
+  finish(webgl_manager, program_state) {
+    // finish(): Run the effects over the frame, passing it between two
+    // images, and onto the canvas with the last one.
+    if (!this.running.length) return;
+    const gl = webgl_manager.context;
+    gl.disable(gl.DEPTH_TEST);
+    let image = this.targets.frame;
+    this.running.forEach((effect, i) => {
+      const target =
+        i == this.running.length - 1
+          ? null
+          : this.target(webgl_manager, i % 2 ? "pong" : "ping");
+      effect.apply(this, webgl_manager, program_state, image, target);
+      image = target;
+    });
+    gl.enable(gl.DEPTH_TEST);
+  }
+  pass(webgl_manager, program_state, material, target) {
+    // pass(): Draw "material" (with a Post_Shader) over all of "target".
+    if (target) target.draw_into(webgl_manager.context);
+    else Framebuffer.draw_into_canvas(webgl_manager.context);
+    this.screen.draw(webgl_manager, program_state, Mat4.identity(), material);
+  }
+});
+
+const Bloom = (defs.Bloom = class Bloom {
+  // **Bloom** makes bright lights glow: it keeps what's brighter than
+  // "threshold" at half size, blurs it across and then down by steps of
+  // "spread" pixels, and adds it back over the frame, times "strength".
+  constructor({ threshold = 0.8, strength = 0.8, spread = 1.5 } = {}) {
+    Object.assign(this, { threshold, strength, spread });
+    Object.assign(this, { label: "Bloom", on: true });
+    this.bright = new Material(new defs.Bright_Pass_Shader());
+    this.blur = new Material(new defs.Blur_Shader());
+    this.add = new Material(new defs.Bloom_Shader());
+  }
+  idle() {
+    return this.strength <= 0;
+  }
+  apply(chain, webgl_manager, program_state, image, target) {
+    const glow = chain.target(webgl_manager, "glow", 0.5);
+    const across = chain.target(webgl_manager, "across", 0.5);
+    const pass = (material, into) =>
+      chain.pass(webgl_manager, program_state, material, into);
+    pass(this.bright.override({ image, threshold: this.threshold }), glow);
+    pass(
+      this.blur.override({ image: glow, direction: Vec.of(this.spread, 0) }),
+      across
+    );
+    pass(
+      this.blur.override({ image: across, direction: Vec.of(0, this.spread) }),
+      glow
+    );
+    pass(this.add.override({ image, glow, strength: this.strength }), target);
+  }
+});
+
+const Motion_Blur = (defs.Motion_Blur = class Motion_Blur {
+  // **Motion_Blur** smears one fast thing, like a pitched ball, along the
+  // "path" it took across the screen since the last frame to where it is now
+  // ("to"), but never more than "longest" of the screen's height.  Tell it
+  // where the thing is each frame with follow().  The frame is already under
+  // way by then, so losing the thing leaves a path of nothing instead of no
+  // path at all.
+  constructor({ longest = 0.2 } = {}) {
+    Object.assign(this, { longest, label: "Motion blur", on: true });
+    this.material = new Material(new defs.Motion_Blur_Shader());
+    Object.assign(this, { to: Vec.of(0, 0), path: Vec.of(0, 0), radius: 0 });
+    this.following = false;
+  }
+  follow(program_state, position = null, radius = 1) {
+    // follow(): Find where "position" (a point in the world) shows up on
+    // screen this frame, and how big "radius" around it looks there.  With
+    // no position there's nothing to blur.
+    const clip =
+      position &&
+      program_state.projection_transform
+        .times(program_state.camera_inverse)
+        .times(position.to4(1));
+    if (!clip || clip[3] <= 0) {
+      Object.assign(this, { path: Vec.of(0, 0), following: false });
+      return;
+    }
+    const now = Vec.of(clip[0], clip[1])
+      .times(0.5 / clip[3])
+      .plus(Vec.of(0.5, 0.5));
+    this.path = this.following ? now.minus(this.to) : Vec.of(0, 0);
+    Object.assign(this, { to: now, following: true });
+    this.radius =
+      (0.5 * radius * program_state.projection_transform[1][1]) / clip[3];
+  }
+  idle() {
+    return this.path.norm() < 0.002;
+  }
+  apply(chain, webgl_manager, program_state, image, target) {
+    let path = this.path;
+    // Cap the smear, for when the camera cuts to a new shot:
+    if (path.norm() > this.longest)
+      path = path.times(this.longest / path.norm());
+    const { to, radius } = this;
+    chain.pass(
+      webgl_manager,
+      program_state,
+      this.material.override({ image, from: to.minus(path), to, radius }),
+      target
+    );
+  }
+});
+
+const Color_Grading = (defs.Color_Grading = class Color_Grading {
+  // **Color_Grading** gives the frame a look for the time of day.  "looks"
+  // has one for each part of the sky (see Time_Of_Day's sky()), a "tint" to
+  // multiply the frame by and its "saturation" and "contrast", and grade()
+  // mixes them as the sky is mixed.  The day's look leaves the frame as it
+  // is, so there's nothing to grade in broad daylight.
+  constructor(
+    looks = {
+      day: { tint: Color.of(1, 1, 1, 1), saturation: 1, contrast: 1 },
+      dawn: { tint: Color.of(1.05, 0.97, 0.95, 1), saturation: 1, contrast: 1 },
+      dusk: {
+        tint: Color.of(1.1, 0.95, 0.82, 1),
+        saturation: 1.1,
+        contrast: 1.05
+      },
+      night: {
+        tint: Color.of(0.85, 0.92, 1.1, 1),
+        saturation: 0.75,
+        contrast: 1.1
+      }
+    }
+  ) {
+    Object.assign(this, { looks, label: "Color grading", on: true });
+    this.material = new Material(new defs.Color_Grading_Shader());
+    this.grade({ day: 1 });
+  }
+  grade(sky) {
+    // grade(): Mix the looks by how much of the sky is each part.
+    const look = { tint: Color.of(0, 0, 0, 0), saturation: 0, contrast: 0 };
+    for (let [part, share] of Object.entries(sky)) {
+      look.tint = look.tint.plus(this.looks[part].tint.times(share));
+      look.saturation += this.looks[part].saturation * share;
+      look.contrast += this.looks[part].contrast * share;
+    }
+    Object.assign(this, look);
+  }
+  idle() {
+    const { tint, saturation, contrast } = this;
+    const change = Math.max(
+      ...[0, 1, 2].map(i => Math.abs(tint[i] - 1)),
+      Math.abs(saturation - 1),
+      Math.abs(contrast - 1)
+    );
+    return change < 0.005;
+  }
+  apply(chain, webgl_manager, program_state, image, target) {
+    const { tint, saturation, contrast } = this;
+    chain.pass(
+      webgl_manager,
+      program_state,
+      this.material.override({ image, tint, saturation, contrast }),
+      target
+    );
+  }
+});
+
+const Vignette = (defs.Vignette = class Vignette {
+  // **Vignette** darkens the corners of the frame, by "strength" times its
+  // "amount" (from 0 to 1), such as how slowed down the game is.
+  constructor({ strength = 0.7 } = {}) {
+    Object.assign(this, { strength, label: "Vignette", on: true });
+    this.material = new Material(new defs.Vignette_Shader());
+    this.amount = 0;
+  }
+  idle() {
+    return this.amount < 0.01;
+  }
+  apply(chain, webgl_manager, program_state, image, target) {
+    const amount = this.strength * this.amount;
+    chain.pass(
+      webgl_manager,
+      program_state,
+      this.material.override({ image, amount }),
+      target
+    );
+  }
+});
+
+const FXAA = (defs.FXAA = class FXAA {
+  // **FXAA** smooths the frame's jagged edges (see FXAA_Shader).  It goes
+  // last, after the other effects have made any edges they're going to.  The
+  // browser already smooths what's drawn straight onto the canvas, so it's
+  // an extra: only an offscreen frame needs it.
+  constructor() {
+    Object.assign(this, { label: "FXAA", on: true, extra: true });
+    this.material = new Material(new defs.FXAA_Shader());
+  }
+  apply(chain, webgl_manager, program_state, image, target) {
+    chain.pass(
+      webgl_manager,
+      program_state,
+      this.material.override({ image }),
+      target
+    );
+  }
+});
+
+export { Post_Processing, Bloom, Motion_Blur, Color_Grading, Vignette, FXAA };
@@ -0,0 +1,127 @@
+import { tiny, defs } from "./resources.js";
+
+const { Vec, Mat } = tiny;
+
+const Quaternion = (defs.Quaternion = class Quaternion {
+  // **Quaternion** stores a rotation as w + xi + yj + zk, which unlike a
+  // rotation matrix can be blended smoothly (see slerp()) without picking up
+  // any shear along the way.  Quaternions here are kept at unit length.
+  constructor(w = 1, x = 0, y = 0, z = 0) {
+    Object.assign(this, { w, x, y, z });
+  }
+  static from_axis_angle(angle, axis) {
+    // from_axis_angle(): The rotation by "angle" about "axis", like
+    // Mat4.rotation().
+    if (!angle) return new Quaternion();
+    const [x, y, z] = Vec.from(axis).normalized();
+    const s = Math.sin(angle / 2);
+    return new Quaternion(Math.cos(angle / 2), x * s, y * s, z * s);
+  }
+  static from_matrix(m) {
+    // from_matrix(): The rotation part of a 4x4 matrix.  Its first three
+    // columns are straightened into a right-handed orthonormal basis first,
+    // so any scaling or shear in the matrix is left out.
+    const column = i => Vec.of(m[0][i], m[1][i], m[2][i]);
+    const x = column(0).normalized();
+    const y = column(1)
+      .minus(x.times(x.dot(column(1))))
+      .normalized();
+    const z = x.cross(y);
+    // The standard conversion, picking whichever term is largest to divide
+    // by, for accuracy:
+    const trace = x[0] + y[1] + z[2];
+    if (trace > 0) {
+      const s = 2 * Math.sqrt(trace + 1);
+      return new Quaternion(
+        s / 4,
+        (y[2] - z[1]) / s,
+        (z[0] - x[2]) / s,
+        (x[1] - y[0]) / s
+      );
+    }
+    if (x[0] > y[1] && x[0] > z[2]) {
+      const s = 2 * Math.sqrt(1 + x[0] - y[1] - z[2]);
+      return new Quaternion(
+        (y[2] - z[1]) / s,
+        s / 4,
+        (y[0] + x[1]) / s,
+        (z[0] + x[2]) / s
+      );
+    }
+    if (y[1] > z[2]) {
+      const s = 2 * Math.sqrt(1 + y[1] - x[0] - z[2]);
+      return new Quaternion(
+        (z[0] - x[2]) / s,
+        (y[0] + x[1]) / s,
+        s / 4,
+        (z[1] + y[2]) / s
+      );
+    }
+    const s = 2 * Math.sqrt(1 + z[2] - x[0] - y[1]);
+    return new Quaternion(
+      (x[1] - y[0]) / s,
+      (z[0] + x[2]) / s,
+      (z[1] + y[2]) / s,
+      s / 4
+    );
+  }
+  times(q) {
+    // times(): The rotation q followed by this one.
+    return new Quaternion(
+      this.w * q.w - this.x * q.x - this.y * q.y - this.z * q.z,
+      this.w * q.x + this.x * q.w + this.y * q.z - this.z * q.y,
+      this.w * q.y - this.x * q.z + this.y * q.w + this.z * q.x,
+      this.w * q.z + this.x * q.y - this.y * q.x + this.z * q.w
+    );
+  }
+  dot(q) {
+    return this.w * q.w + this.x * q.x + this.y * q.y + this.z * q.z;
+  }
+  normalized() {
+    const length = Math.sqrt(this.dot(this));
+    return new Quaternion(
+      this.w / length,
+      this.x / length,
+      this.y / length,
+      this.z / length
+    );
+  }
+  copy() {
+    return new Quaternion(this.w, this.x, this.y, this.z);
+  }
+  slerp(q, alpha) {
+    // slerp(): Spherical linear interpolation from this rotation to q, turning
+    // at a steady rate about a single axis, the short way around.
+    let cos = this.dot(q);
+    if (cos < 0) {
+      q = new Quaternion(-q.w, -q.x, -q.y, -q.z);
+      cos = -cos;
+    }
+    let [a, b] = [1 - alpha, alpha];
+    // Nearly identical rotations can just be blended linearly:
+    if (cos < 0.9995) {
+      const angle = Math.acos(cos),
+        sin = Math.sin(angle);
+      a = Math.sin((1 - alpha) * angle) / sin;
+      b = Math.sin(alpha * angle) / sin;
+    }
+    return new Quaternion(
+      a * this.w + b * q.w,
+      a * this.x + b * q.x,
+      a * this.y + b * q.y,
+      a * this.z + b * q.z
+    ).normalized();
+  }
+  to_matrix() {
+    // to_matrix(): The same rotation as a Mat4.
+    const { w, x, y, z } = this;
+    return Mat.of(
+      [1 - 2 * (y * y + z * z), 2 * (x * y - w * z), 2 * (x * z + w * y), 0],
+      [2 * (x * y + w * z), 1 - 2 * (x * x + z * z), 2 * (y * z - w * x), 0],
+      [2 * (x * z - w * y), 2 * (y * z + w * x), 1 - 2 * (x * x + y * y), 0],
+      [0, 0, 0, 1]
+    );
+  }
+});
+
+export { Quaternion };
@@ -0,0 +1,66 @@
+import { defs } from "./resources.js";
+
+// Seeded random numbers, so that a game can be played over again exactly.
+// All of the gameplay's randomness is drawn from a Random instead of
+// Math.random(), and the same seed always gives the same numbers: the same
+// pitches, the same innings and the same balls on the title screen.
+
+function hash(text) {
+  // hash(): Turn any text into a 32-bit seed (FNV-1a).
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++)
+    h = Math.imul(h ^ text.charCodeAt(i), 0x01000193);
+  return h >>> 0;
+}
+
+const Random = (defs.Random = class Random {
+  // **Random** is a small, fast pseudorandom generator (Mulberry32).  Its
+  // seed is a whole number, or any text (like a date, for a daily
+  // challenge).  next() gives a number from 0 up to 1, like Math.random(),
+  // and can be handed around by itself anywhere Math.random could.
+  constructor(seed = Random.new_seed()) {
+    this.seed = seed;
+    const number = Number(seed);
+    this.state =
+      String(seed).trim() && Number.isInteger(number)
+        ? number >>> 0
+        : hash(String(seed));
+    this.next = this.next.bind(this);
+  }
+  static new_seed() {
+    // new_seed(): A seed for a session that didn't ask for one.
+    return Math.floor(Math.random() * 1e6);
+  }
+  static from_page() {
+    // from_page(): A generator seeded from the page's address, like
+    // "index.html?seed=42", or with a new seed if it doesn't give one.
+    const search = typeof location == "undefined" ? "" : location.search;
+    const seed = new URLSearchParams(search).get("seed");
+    return new Random(seed == null ? undefined : seed);
+  }
+  copy() {
+    // copy(): A generator that gives the same numbers this one will from
+    // here on.
+    return Object.assign(new Random(this.seed), { state: this.state });
+  }
+  next() {
+    let t = (this.state = (this.state + 0x6d2b79f5) >>> 0);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+  stream(name) {
+    // stream(): A generator of its own for one part of the game, seeded from
+    // this one's seed and "name".  Drawing from one stream never changes
+    // what another gives, so the title screen running longer doesn't change
+    // the pitches that follow it.
+    return new Random(this.seed + "/" + name);
+  }
+  randomized(vector, scale) {
+    // randomized(): Like Vec's randomized(), "vector" plus a random vector of
+    // at most "scale" along each axis.
+    return vector.map(x => x + scale * (this.next() - 0.5));
+  }
+});
+
+export { Random };
@@ -0,0 +1,57 @@
+import { defs } from "./resources.js";
+
+// Recording a game as it's played, so that it can be played back exactly.
+// The game draws all of its randomness from one seed (see random.js) and
+// takes the batter's inputs only at the start of a step of its physics
+// world, so the seed and the inputs, each with the step it came in on, are
+// enough to play the same game over again.  A replay starts from a copy of
+// the game's state saved along the way, and feeds the recorded inputs back
+// in at the same steps.
+
+function copy_state(value) {
+  // copy_state(): A deep copy of a piece of game state.  Arrays and plain
+  // objects are copied member by member, and anything with a copy() method
+  // (Vecs, matrices, bodies, the count...) copies itself.  Anything else,
+  // like a shape, a material or a flight model, is shared rather than part
+  // of the state.
+  if (!value || typeof value != "object") return value;
+  if (typeof value.copy == "function") return value.copy();
+  if (Array.isArray(value)) return value.map(copy_state);
+  if (Object.getPrototypeOf(value) != Object.prototype) return value;
+  const copy = {};
+  for (let key in value) copy[key] = copy_state(value[key]);
+  return copy;
+}
+
+const Recording = (defs.Recording = class Recording {
+  // **Recording** keeps every input the player gave during a game, with the
+  // step of the physics world it was taken on, along with the seed the game
+  // was played from.  A scene adds the states to start replays from: the
+  // game's at its start, and each pitch's as it's thrown.
+  constructor(seed, start) {
+    Object.assign(this, { seed, start, inputs: [], pitches: [] });
+  }
+  record(step, input) {
+    this.inputs.push({ step, input });
+  }
+  inputs_at(step) {
+    // inputs_at(): The inputs taken on a step, in the order they came in.
+    return this.inputs
+      .filter(entry => entry.step == step)
+      .map(entry => entry.input);
+  }
+  add_pitch(state) {
+    // add_pitch(): Keep the game's state as a pitch is thrown, to replay the
+    // pitch from.
+    this.pitches.push(state);
+  }
+  last_pitch() {
+    return this.pitches[this.pitches.length - 1];
+  }
+  to_json() {
+    // to_json(): The seed and the inputs, to attach to a bug report.
+    return JSON.stringify({ seed: this.seed, inputs: this.inputs });
+  }
+});
+
+export { copy_state, Recording };
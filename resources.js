@@ -503,10 +503,13 @@ class Phong_Shader extends Shader
                                    // determining brightness of pixels via vector math.  It compares the normal vector
                                    // at that pixel with the vectors toward the camera and light sources.
 
-  
-  constructor( num_lights = 2 )
+                                   // Besides its "num_lights" main lights, it can take up to "num_point_lights" more from
+                                   // program_state.point_lights, for when a scene has many small lights:  Point lights
+                                   // that each only reach as far as their "range", and are skipped beyond it.
+  constructor( num_lights = 2, num_point_lights = 0 )
     { super(); 
       this.num_lights = num_lights;
+      this.num_point_lights = num_point_lights;
     }
 
   shared_glsl_code()           // ********* SHARED CODE, INCLUDED IN BOTH SHADERS *********
@@ -515,17 +518,33 @@ class Phong_Shader extends Shader
         uniform float ambient, diffusivity, specularity, smoothness;
         uniform vec4 light_positions_or_vectors[N_LIGHTS], light_colors[N_LIGHTS];
         uniform float light_attenuation_factors[N_LIGHTS];
+                              // The point lights, as many as point_light_count.  Each position's w is the light's range,
+                              // and each color's w is its attenuation factor:
+        const int N_POINT_LIGHTS = ` + Math.max( this.num_point_lights, 1 ) + `;
+        uniform vec4 point_light_positions[N_POINT_LIGHTS], point_light_colors[N_POINT_LIGHTS];
+        uniform int point_light_count;
         uniform vec4 shape_color;
-        uniform vec3 squared_scale, camera_center;
+        uniform vec3 camera_center;
 
                               // Specifier "varying" means a variable's final value will be passed from the vertex shader
                               // on to the next phase (fragment shader), then interpolated per-fragment, weighted by the
                               // pixel fragment's proximity to each of the 3 vertices (barycentric interpolation).
+                              // "tint" is the color of this copy of the shape, when drawing many (see tiny.Instances),
+                              // multiplying shape_color:
         varying vec3 N, vertex_worldspace;
+        varying vec4 tint;
+
+        vec3 squared_scale( mat3 M )
+          {                 // squared_scale():  Use the squared scale trick from "Eric's blog" instead of an inverse
+                            // transpose matrix, working each copy's out on the GPU:  The squared length of each column.
+            return vec3( dot( M[0], M[0] ), dot( M[1], M[1] ), dot( M[2], M[2] ) );
+          }
+        ` + this.shadow_glsl_code() + `
                                              // ***** PHONG SHADING HAPPENS HERE: *****                                       
         vec3 phong_model_lights( vec3 N, vec3 vertex_worldspace )
           {                                        // phong_model_lights():  Add up the lights' contributions.
             vec3 E = normalize( camera_center - vertex_worldspace );
+            vec3 color = shape_color.xyz * tint.xyz;
             vec3 result = vec3( 0.0 );
             for(int i = 0; i < N_LIGHTS; i++)
               {
@@ -548,28 +567,56 @@ class Phong_Shader extends Shader
                 float attenuation = 1.0 / (1.0 + light_attenuation_factors[i] * distance_to_light * distance_to_light );
                 
                 
-                vec3 light_contribution = shape_color.xyz * light_colors[i].xyz * diffusivity * diffuse
+                vec3 light_contribution = color * light_colors[i].xyz * diffusivity * diffuse
                                                           + light_colors[i].xyz * specularity * specular;
 
-                result += attenuation * light_contribution;
+                result += attenuation * light_contribution * shadowing( i, N, vertex_worldspace );
+              }
+                            // The loop only runs to the lights there are this time, and nearby ones cost the most:
+            for(int i = 0; i < N_POINT_LIGHTS; i++)
+              { if( i >= point_light_count ) break;
+                vec3 surface_to_light_vector = point_light_positions[i].xyz - vertex_worldspace;
+                float distance_to_light = length( surface_to_light_vector ),
+                      range = point_light_positions[i].w;
+                if( distance_to_light >= range ) continue;
+
+                vec3 L = surface_to_light_vector / distance_to_light;
+                vec3 H = normalize( L + E );
+                float diffuse  =      max( dot( N, L ), 0.0 );
+                float specular = pow( max( dot( N, H ), 0.0 ), smoothness );
+                            // Fade out smoothly to nothing at the range, so the edge of the light doesn't show:
+                float edge = 1.0 - pow( distance_to_light / range, 4.0 );
+                float attenuation = edge * edge / (1.0 + point_light_colors[i].w * distance_to_light * distance_to_light );
+
+                result += attenuation * ( color * point_light_colors[i].xyz * diffusivity * diffuse
+                                                          + point_light_colors[i].xyz * specularity * specular );
               }
             return result;
           } ` ;
     }
+  shadow_glsl_code()           // ********* SHADOWS, INCLUDED IN THE SHARED CODE *********
+    {                          // shadow_glsl_code():  Define shadowing(), the share of light i that reaches a point.
+                               // Nothing blocks the lights here; see Shadow_Phong_Shader for shaders with shadows.
+      return ` float shadowing( int i, vec3 N, vec3 p ) { return 1.0; } ` ;
+    }
   vertex_glsl_code()           // ********* VERTEX SHADER *********
     { return this.shared_glsl_code() + `
         attribute vec3 position, normal;                            // Position is expressed in object coordinates.
+        attribute mat4 instance_transform;            // Where this copy of the shape goes, and its color, when drawing
+        attribute vec4 instance_color;                // many at once (see Vertex_Buffer's draw_instances()).
         
         uniform mat4 model_transform;
         uniform mat4 projection_camera_model_transform;
 
         void main()
           {                                                                   // The vertex's final resting place (in NDCS):
-            gl_Position = projection_camera_model_transform * vec4( position, 1.0 );
+            gl_Position = projection_camera_model_transform * instance_transform * vec4( position, 1.0 );
                                                                               // The final normal vector in screen space.
-            N = normalize( mat3( model_transform ) * normal / squared_scale);
+            mat3 M = mat3( model_transform * instance_transform );
+            N = normalize( M * normal / squared_scale( M ) );
             
-            vertex_worldspace = ( model_transform * vec4( position, 1.0 ) ).xyz;
+            vertex_worldspace = ( model_transform * instance_transform * vec4( position, 1.0 ) ).xyz;
+            tint = instance_color;
           } ` ;
     }
   fragment_glsl_code()         // ********* FRAGMENT SHADER ********* 
@@ -578,7 +625,7 @@ class Phong_Shader extends Shader
       return this.shared_glsl_code() + `
         void main()
           {                                                           // Compute an initial (ambient) color:
-            gl_FragColor = vec4( shape_color.xyz * ambient, shape_color.w );
+            gl_FragColor = vec4( shape_color.xyz * tint.xyz * ambient, shape_color.w * tint.w );
                                                                      // Compute the final color with contributions from lights:
             gl_FragColor.xyz += phong_model_lights( normalize( N ), vertex_worldspace );
           } ` ;
@@ -596,10 +643,6 @@ class Phong_Shader extends Shader
     {                                       // send_gpu_state():  Send the state of our whole drawing context to the GPU.
       const O = Vec.of( 0,0,0,1 ), camera_center = gpu_state.camera_transform.times( O ).to3();
       gl.uniform3fv( gpu.camera_center, camera_center );
-                                         // Use the squared scale trick from "Eric's blog" instead of inverse transpose matrix:
-      const squared_scale = model_transform.reduce( 
-                                         (acc,r) => { return acc.plus( Vec.from(r).mult_pairs(r) ) }, Vec.of( 0,0,0,0 ) ).to3();                                            
-      gl.uniform3fv( gpu.squared_scale, squared_scale );     
                                                       // Send the current matrices to the shader.  Go ahead and pre-compute
                                                       // the products we'll need of the of the three special matrices and just
                                                       // cache and send those.  They will be the same throughout this draw
@@ -609,6 +652,18 @@ class Phong_Shader extends Shader
       gl.uniformMatrix4fv( gpu.                  model_transform, false, Mat.flatten_2D_to_1D( model_transform.transposed() ) );
       gl.uniformMatrix4fv( gpu.projection_camera_model_transform, false, Mat.flatten_2D_to_1D(             PCM.transposed() ) );
 
+                                             // Send as many of the point lights as this shader takes:
+      const point_lights = ( gpu_state.point_lights || [] ).slice( 0, this.num_point_lights );
+      gl.uniform1i( gpu.point_light_count, point_lights.length );
+      if( point_lights.length )
+        { const positions = [], colors = [];
+          for( let light of point_lights )
+            { positions.push( ...light.position.to3(), light.range || 1e6 );
+              colors   .push( ...light.color   .to3(), light.attenuation );
+            }
+          gl.uniform4fv( gpu.point_light_positions, positions );
+          gl.uniform4fv( gpu.point_light_colors,    colors );
+        }
                                              // Omitting lights will show only the material color, scaled by the ambient term:
       if( !gpu_state.lights.length )
         return;
@@ -649,17 +704,21 @@ class Textured_Phong extends Phong_Shader
         varying vec2 f_tex_coord;
         attribute vec3 position, normal;                            // Position is expressed in object coordinates.
         attribute vec2 texture_coord;
+        attribute mat4 instance_transform;            // Where this copy of the shape goes, and its color, when drawing
+        attribute vec4 instance_color;                // many at once (see Vertex_Buffer's draw_instances()).
         
         uniform mat4 model_transform;
         uniform mat4 projection_camera_model_transform;
 
         void main()
           {                                                                   // The vertex's final resting place (in NDCS):
-            gl_Position = projection_camera_model_transform * vec4( position, 1.0 );
+            gl_Position = projection_camera_model_transform * instance_transform * vec4( position, 1.0 );
                                                                               // The final normal vector in screen space.
-            N = normalize( mat3( model_transform ) * normal / squared_scale);
+            mat3 M = mat3( model_transform * instance_transform );
+            N = normalize( M * normal / squared_scale( M ) );
             
-            vertex_worldspace = ( model_transform * vec4( position, 1.0 ) ).xyz;
+            vertex_worldspace = ( model_transform * instance_transform * vec4( position, 1.0 ) ).xyz;
+            tint = instance_color;
                                               // Turn the per-vertex texture coordinate into an interpolated variable.
             f_tex_coord = texture_coord;
           } ` ;
@@ -676,7 +735,8 @@ class Textured_Phong extends Phong_Shader
             vec4 tex_color = texture2D( texture, f_tex_coord );
             if( tex_color.w < .01 ) discard;
                                                                      // Compute an initial (ambient) color:
-            gl_FragColor = vec4( ( tex_color.xyz + shape_color.xyz ) * ambient, shape_color.w * tex_color.w ); 
+            gl_FragColor = vec4( ( tex_color.xyz + shape_color.xyz * tint.xyz ) * ambient,
+                                 shape_color.w * tint.w * tex_color.w ); 
                                                                      // Compute the final color with contributions from lights:
             gl_FragColor.xyz += phong_model_lights( normalize( N ), vertex_worldspace );
           } ` ;
@@ -712,7 +772,8 @@ class Fake_Bump_Map extends Textured_Phong
                              // Slightly disturb normals based on sampling the same image that was used for texturing:
             vec3 bumped_N  = N + tex_color.rgb - .5*vec3(1,1,1);
                                                                      // Compute an initial (ambient) color:
-            gl_FragColor = vec4( ( tex_color.xyz + shape_color.xyz ) * ambient, shape_color.w * tex_color.w ); 
+            gl_FragColor = vec4( ( tex_color.xyz + shape_color.xyz * tint.xyz ) * ambient,
+                                 shape_color.w * tint.w * tex_color.w ); 
                                                                      // Compute the final color with contributions from lights:
             gl_FragColor.xyz += phong_model_lights( normalize( bumped_N ), vertex_worldspace );
           } ` ;
@@ -720,6 +781,476 @@ class Fake_Bump_Map extends Textured_Phong
 }
 
 
+const Depth_Shader = defs.Depth_Shader =
+class Depth_Shader extends Shader
+{                                 // **Depth_Shader** only places each shape, with no color at all.  It's for drawing shapes
+                                  // into the depth buffer of a Shadow_Map.
+  vertex_glsl_code()
+    { return `
+        attribute vec3 position;
+        attribute mat4 instance_transform;
+        uniform mat4 projection_camera_model_transform;
+        void main()
+          { gl_Position = projection_camera_model_transform * instance_transform * vec4( position, 1.0 );
+          } ` ;
+    }
+  fragment_glsl_code()
+    { return ` precision mediump float;
+        void main()
+          { gl_FragColor = vec4( 1.0 );
+          } ` ;
+    }
+  update_GPU( context, gpu_addresses, gpu_state, model_transform )
+    { const PCM = gpu_state.projection_transform.times( gpu_state.camera_inverse ).times( model_transform );
+      context.uniformMatrix4fv( gpu_addresses.projection_camera_model_transform, false, Mat.flatten_2D_to_1D( PCM.transposed() ) );
+    }
+}
+
+
+const Shadow_Map = defs.Shadow_Map =
+class Shadow_Map extends tiny.Graphics_Card_Object
+{                                 // **Shadow_Map** is a depth render target for one light:  an offscreen framebuffer whose
+                                  // depth buffer is a texture.  render() draws the shapes that cast shadows into it, seen
+                                  // through "light_camera" (an inverted matrix, like program_state's camera_inverse) and
+                                  // "projection".  Shaders like Shadow_Phong_Shader then look up whether each point they
+                                  // light was the nearest thing to the light.  Attach one to a Light as its "shadow_map".
+  constructor( light_camera, projection, size = 2048 )
+    { super();
+      Object.assign( this, { light_camera, projection, size, ready: false } );
+    }
+  copy_onto_graphics_card( context )
+    {                                     // copy_onto_graphics_card():  Make the framebuffer and its textures, the first
+                                          // time this map is used on a GPU context.
+      const initial_gpu_representation = { framebuffer: undefined, depth_texture: undefined };
+      const gpu_instance = super.copy_onto_graphics_card( context, initial_gpu_representation );
+
+      const gl = context;
+                                          // Without depth textures (a WebGL 1 extension) nothing casts shadows:
+      if( gpu_instance.framebuffer || !gl.getExtension( "WEBGL_depth_texture" ) )
+        return gpu_instance;
+      const make_texture = ( format, type ) =>
+        { const texture = gl.createTexture();
+          gl.bindTexture  ( gl.TEXTURE_2D, texture );
+          gl.texImage2D   ( gl.TEXTURE_2D, 0, format, this.size, this.size, 0, format, type, null );
+          gl.texParameteri( gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST );
+          gl.texParameteri( gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST );
+          gl.texParameteri( gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE );
+          gl.texParameteri( gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE );
+          return texture;
+        }
+      gpu_instance.depth_texture = make_texture( gl.DEPTH_COMPONENT, gl.UNSIGNED_INT );
+                                          // Some browsers won't draw into a framebuffer with no color, so give it one:
+      const color_texture = make_texture( gl.RGBA, gl.UNSIGNED_BYTE );
+      gpu_instance.framebuffer = gl.createFramebuffer();
+                                          // Leave whatever was being drawn into bound afterwards, like tiny.Framebuffer:
+      const previous = gl.getParameter( gl.FRAMEBUFFER_BINDING );
+      gl.bindFramebuffer( gl.FRAMEBUFFER, gpu_instance.framebuffer );
+      gl.framebufferTexture2D( gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.TEXTURE_2D, gpu_instance.depth_texture, 0 );
+      gl.framebufferTexture2D( gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, color_texture, 0 );
+      gl.bindFramebuffer( gl.FRAMEBUFFER, previous );
+      return gpu_instance;
+    }
+  render( webgl_manager, program_state, draw_scene )
+    {                                     // render():  Call draw_scene() to draw the whole scene from the light.  Only the
+                                          // shapes whose materials have "casts_shadow" set are drawn, and only their depth.
+      const gl = webgl_manager.context, gpu_instance = this.activate( gl );
+      if( !gpu_instance.framebuffer ) return;
+
+                                          // Afterwards, go back to drawing wherever the frame was going, which might be
+                                          // a tiny.Framebuffer rather than the canvas:
+      const target = gl.getParameter( gl.FRAMEBUFFER_BINDING ), viewport = gl.getParameter( gl.VIEWPORT );
+      gl.bindFramebuffer( gl.FRAMEBUFFER, gpu_instance.framebuffer );
+      gl.viewport( 0, 0, this.size, this.size );
+      gl.clear( gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT );
+      const { camera_inverse, projection_transform } = program_state;
+      program_state.set_camera( this.light_camera );
+      program_state.projection_transform = this.projection;
+      program_state.depth_material = Shadow_Map.depth_material;
+
+      draw_scene();
+
+      program_state.set_camera( camera_inverse );
+      program_state.projection_transform = projection_transform;
+      program_state.depth_material = null;
+      gl.bindFramebuffer( gl.FRAMEBUFFER, target );
+      gl.viewport( ...viewport );
+                                          // Where each point lands in the map, from world space:
+      this.light_view_projection = this.projection.times( this.light_camera );
+      this.ready = true;
+    }
+  bind( context, texture_unit )
+    {                                     // bind():  Select the depth texture on a texture unit, for a shader to read.
+      const gpu_instance = this.activate( context );
+      context.activeTexture( context[ "TEXTURE" + texture_unit ] );
+      context.bindTexture( context.TEXTURE_2D, gpu_instance.depth_texture );
+    }
+}
+
+Shadow_Map.depth_material = new Material( new Depth_Shader() );
+
+
+                                    // The GLSL and the uniforms shared by the shaders that cast shadows.  The first three
+                                    // lights can each have a Shadow_Map, which is sampled at nine points around where
+                                    // each pixel falls in it and averaged (percentage-closer filtering), for soft edges.
+const shadow_map_glsl = `
+        uniform sampler2D shadow_map_0, shadow_map_1, shadow_map_2;
+        uniform highp mat4 light_view_projection_0, light_view_projection_1, light_view_projection_2;
+        uniform bool shadow_on_0, shadow_on_1, shadow_on_2;
+        uniform float shadow_texel_0, shadow_texel_1, shadow_texel_2;
+
+        float filtered_shadow( sampler2D map, highp mat4 light_view_projection, float texel, vec3 N, vec3 p )
+          {                     // Start a little way out along the normal, so a surface doesn't shadow itself:
+            highp vec4 clip = light_view_projection * vec4( p + 0.25 * N, 1.0 );
+            if( clip.w <= 0.0 ) return 1.0;
+            highp vec3 q = clip.xyz / clip.w * 0.5 + 0.5;
+                                // Anything outside of what the light's map covers is lit:
+            if( q.x < 0.0 || q.x > 1.0 || q.y < 0.0 || q.y > 1.0 || q.z > 1.0 ) return 1.0;
+            float lit = 0.0;
+            for( int x = -1; x <= 1; x++ )
+              for( int y = -1; y <= 1; y++ )
+                { highp float nearest = texture2D( map, q.xy + vec2( x, y ) * texel ).r;
+                  lit += q.z - 0.0001 > nearest ? 0.0 : 1.0;
+                }
+            return lit / 9.0;
+          }
+        float shadowing( int i, vec3 N, vec3 p )
+          { if( i == 0 && shadow_on_0 ) return filtered_shadow( shadow_map_0, light_view_projection_0, shadow_texel_0, N, p );
+            if( i == 1 && shadow_on_1 ) return filtered_shadow( shadow_map_1, light_view_projection_1, shadow_texel_1, N, p );
+            if( i == 2 && shadow_on_2 ) return filtered_shadow( shadow_map_2, light_view_projection_2, shadow_texel_2, N, p );
+            return 1.0;
+          } `;
+
+function send_shadow_maps( context, gpu_addresses, gpu_state )
+{                                   // send_shadow_maps():  Bind the first three lights' shadow maps, if they have them, to
+                                    // texture units 1 to 3 (materials' own textures use unit 0).
+  for( let i = 0; i < 3; i++ )
+    { const light = gpu_state.lights[i], map = light && light.shadow_map, on = !!map && map.ready;
+      context.uniform1i( gpu_addresses[ "shadow_on_" + i ], on );
+      if( !on ) continue;
+      context.uniformMatrix4fv( gpu_addresses[ "light_view_projection_" + i ], false,
+                                Mat.flatten_2D_to_1D( map.light_view_projection.transposed() ) );
+      context.uniform1f( gpu_addresses[ "shadow_texel_" + i ], 1 / map.size );
+      context.uniform1i( gpu_addresses[ "shadow_map_" + i ], 1 + i );
+      map.bind( context, 1 + i );
+    }
+}
+
+
+const Shadow_Phong_Shader = defs.Shadow_Phong_Shader =
+class Shadow_Phong_Shader extends Phong_Shader
+{                                 // **Shadow_Phong_Shader** is a Phong_Shader whose first three lights cast shadows, from
+                                  // any Shadow_Map they carry.
+  shadow_glsl_code() { return shadow_map_glsl }
+  update_GPU( context, gpu_addresses, gpu_state, model_transform, material )
+    { super.update_GPU( context, gpu_addresses, gpu_state, model_transform, material );
+      send_shadow_maps( context, gpu_addresses, gpu_state );
+    }
+}
+
+
+const Shadow_Textured_Phong = defs.Shadow_Textured_Phong =
+class Shadow_Textured_Phong extends Textured_Phong
+{                                 // **Shadow_Textured_Phong** is Textured_Phong with shadows, like Shadow_Phong_Shader.
+  shadow_glsl_code() { return shadow_map_glsl }
+  update_GPU( context, gpu_addresses, gpu_state, model_transform, material )
+    { super.update_GPU( context, gpu_addresses, gpu_state, model_transform, material );
+      send_shadow_maps( context, gpu_addresses, gpu_state );
+    }
+}
+
+
+const Shadow_Fake_Bump_Map = defs.Shadow_Fake_Bump_Map =
+class Shadow_Fake_Bump_Map extends Fake_Bump_Map
+{                                 // **Shadow_Fake_Bump_Map** is Fake_Bump_Map with shadows, like Shadow_Phong_Shader.
+  shadow_glsl_code() { return shadow_map_glsl }
+  update_GPU( context, gpu_addresses, gpu_state, model_transform, material )
+    { super.update_GPU( context, gpu_addresses, gpu_state, model_transform, material );
+      send_shadow_maps( context, gpu_addresses, gpu_state );
+    }
+}
+
+
+const Skybox_Shader = defs.Skybox_Shader =
+class Skybox_Shader extends Shader
+{                                 // **Skybox_Shader** draws a sky all around the camera from Cube_Maps.  Draw a Cube with it;
+                                  // where doesn't matter, since the sky only turns with the camera and never moves with it,
+                                  // and it's drawn at the far end of the depth buffer, behind everything, as if it were
+                                  // infinitely far away.  The material's "texture" is the day's sky and "night_texture" the
+                                  // night's, blended by the "day", "dawn", "dusk" and "night" shares of the sky it gives
+                                  // (see Time_Of_Day's sky()), with the warm "dawn_tint" and "dusk_tint" added in as the sun
+                                  // crosses the horizon.  "ambient" scales how bright the day's sky is.
+  vertex_glsl_code()
+    { return ` precision mediump float;
+        attribute vec3 position;
+        uniform mat4 projection_camera_rotation;
+        varying vec3 direction;
+
+        void main()
+          { direction = position;
+            vec4 clip = projection_camera_rotation * vec4( position, 1.0 );
+                                      // Just in front of the far plane, so that the depth test still lets it through:
+            gl_Position = vec4( clip.xy, clip.w * 0.99999, clip.w );
+          } ` ;
+    }
+  fragment_glsl_code()
+    { return ` precision mediump float;
+        varying vec3 direction;
+        uniform samplerCube day_sky, night_sky;
+        uniform float ambient, day, dawn, dusk, night;
+        uniform vec3 dawn_tint, dusk_tint;
+
+        void main()
+          { vec3 d = normalize( direction );
+            vec3 lit = ( textureCube( day_sky, d ).xyz + dawn * dawn_tint + dusk * dusk_tint )
+                       * ambient * ( day + 0.8 * ( dawn + dusk ) );
+            gl_FragColor = vec4( mix( textureCube( night_sky, d ).xyz, lit, 1.0 - night ), 1.0 );
+          } ` ;
+    }
+  update_GPU( context, gpu_addresses, gpu_state, model_transform, material )
+    { const defaults = { ambient: 1, day: 1, dawn: 0, dusk: 0, night: 0,
+                         dawn_tint: Color.of( .35,.15,.2,1 ), dusk_tint: Color.of( .45,.2,0,1 ) };
+      material = Object.assign( {}, defaults, material );
+                                      // Keep only the camera's turning, not where it is:
+      const rotation = gpu_state.camera_inverse.copy();
+      for( let i = 0; i < 3; i++ ) rotation[i][3] = 0;
+      const PCR = gpu_state.projection_transform.times( rotation );
+      context.uniformMatrix4fv( gpu_addresses.projection_camera_rotation, false, Mat.flatten_2D_to_1D( PCR.transposed() ) );
+      for( let name of [ "ambient", "day", "dawn", "dusk", "night" ] )
+        context.uniform1f( gpu_addresses[ name ], material[ name ] );
+      context.uniform3fv( gpu_addresses.dawn_tint, material.dawn_tint.to3() );
+      context.uniform3fv( gpu_addresses.dusk_tint, material.dusk_tint.to3() );
+
+      context.uniform1i( gpu_addresses.day_sky, 0 );
+      context.uniform1i( gpu_addresses.night_sky, 1 );
+      material.texture.activate( context, 0 );
+      ( material.night_texture || material.texture ).activate( context, 1 );
+    }
+}
+
+
+
+const Post_Shader = defs.Post_Shader =
+class Post_Shader extends Shader
+{                                 // **Post_Shader** is the base for the full screen passes that finish a frame off (see
+                                  // Post_Processing in post-processing.js).  Draw a Square with one, anywhere, and its fragment
+                                  // shader runs once for each pixel of whatever's being drawn into, reading the frame so far
+                                  // from the material's "image" (a tiny.Framebuffer) at "f_tex_coord".  "texel" is the size
+                                  // of one of the image's pixels there.  Subclasses write the fragment shader's main() in
+                                  // effect_glsl_code(), and send the rest of their material's settings in update_GPU().
+  vertex_glsl_code()
+    { return ` precision mediump float;
+        attribute vec3 position;
+        varying vec2 f_tex_coord;
+
+        void main()
+          { f_tex_coord = position.xy * 0.5 + 0.5;
+            gl_Position = vec4( position.xy, 0.0, 1.0 );
+          } ` ;
+    }
+  fragment_glsl_code()
+    { return ` precision mediump float;
+        varying vec2 f_tex_coord;
+        uniform sampler2D image;
+        uniform vec2 texel;
+
+        float luma( vec3 color ) { return dot( color, vec3( 0.299, 0.587, 0.114 ) ); }
+        ` + this.effect_glsl_code();
+    }
+  effect_glsl_code() {}
+  update_GPU( context, gpu_addresses, gpu_state, model_transform, material )
+    { context.uniform1i( gpu_addresses.image, 0 );
+      material.image.activate( context, 0 );
+      context.uniform2f( gpu_addresses.texel, 1 / material.image.width, 1 / material.image.height );
+    }
+}
+
+
+const Bright_Pass_Shader = defs.Bright_Pass_Shader =
+class Bright_Pass_Shader extends Post_Shader
+{                                 // **Bright_Pass_Shader** keeps only the parts of the image brighter than the material's
+                                  // "threshold", fading them in just above it, for Bloom_Shader to spread around.
+  effect_glsl_code()
+    { return `
+        uniform float threshold;
+
+        void main()
+          { vec3 color = texture2D( image, f_tex_coord ).rgb;
+            gl_FragColor = vec4( color * smoothstep( threshold, threshold + 0.1, luma( color ) ), 1.0 );
+          } ` ;
+    }
+  update_GPU( context, gpu_addresses, gpu_state, model_transform, material )
+    { super.update_GPU( context, gpu_addresses, gpu_state, model_transform, material );
+      context.uniform1f( gpu_addresses.threshold, material.threshold );
+    }
+}
+
+
+const Blur_Shader = defs.Blur_Shader =
+class Blur_Shader extends Post_Shader
+{                                 // **Blur_Shader** blurs the image one way, along the material's "direction" (in pixels
+                                  // per step), by a Gaussian over nine steps.  Blurring across and then down blurs evenly.
+  effect_glsl_code()
+    { return `
+        uniform vec2 direction;
+
+        void main()
+          { vec2 offset = direction * texel;
+            vec3 sum = texture2D( image, f_tex_coord ).rgb * 0.227027;
+            sum += ( texture2D( image, f_tex_coord + offset ).rgb + texture2D( image, f_tex_coord - offset ).rgb ) * 0.1945946;
+            sum += ( texture2D( image, f_tex_coord + 2.0 * offset ).rgb
+                   + texture2D( image, f_tex_coord - 2.0 * offset ).rgb ) * 0.1216216;
+            sum += ( texture2D( image, f_tex_coord + 3.0 * offset ).rgb
+                   + texture2D( image, f_tex_coord - 3.0 * offset ).rgb ) * 0.054054;
+            sum += ( texture2D( image, f_tex_coord + 4.0 * offset ).rgb
+                   + texture2D( image, f_tex_coord - 4.0 * offset ).rgb ) * 0.016216;
+            gl_FragColor = vec4( sum, 1.0 );
+          } ` ;
+    }
+  update_GPU( context, gpu_addresses, gpu_state, model_transform, material )
+    { super.update_GPU( context, gpu_addresses, gpu_state, model_transform, material );
+      context.uniform2fv( gpu_addresses.direction, material.direction );
+    }
+}
+
+
+const Bloom_Shader = defs.Bloom_Shader =
+class Bloom_Shader extends Post_Shader
+{                                 // **Bloom_Shader** adds the material's "glow" (another tiny.Framebuffer, like a blurred
+                                  // bright pass) over the image, scaled by "strength", so bright lights bleed into the dark.
+  effect_glsl_code()
+    { return `
+        uniform sampler2D glow;
+        uniform float strength;
+
+        void main()
+          { gl_FragColor = vec4( texture2D( image, f_tex_coord ).rgb + strength * texture2D( glow, f_tex_coord ).rgb, 1.0 );
+          } ` ;
+    }
+  update_GPU( context, gpu_addresses, gpu_state, model_transform, material )
+    { super.update_GPU( context, gpu_addresses, gpu_state, model_transform, material );
+      context.uniform1i( gpu_addresses.glow, 1 );
+      material.glow.activate( context, 1 );
+      context.uniform1f( gpu_addresses.strength, material.strength );
+    }
+}
+
+
+const Motion_Blur_Shader = defs.Motion_Blur_Shader =
+class Motion_Blur_Shader extends Post_Shader
+{                                 // **Motion_Blur_Shader** smears one moving thing along the path it took across the screen
+                                  // this frame, from the material's "from" to "to" (both in the image's 0 to 1 coordinates).
+                                  // Only pixels within about "radius" (a share of the image's height) of the path change.
+                                  // "aspect" is the image's width over its height.
+  effect_glsl_code()
+    { return `
+        uniform vec2 from, to;
+        uniform float radius, aspect;
+
+        void main()
+          { vec4 sharp = texture2D( image, f_tex_coord );
+                                      // How far this pixel is from the path, with x and y in the same units:
+            vec2 scale = vec2( aspect, 1.0 ), path = ( to - from ) * scale, p = ( f_tex_coord - from ) * scale;
+            float along = clamp( dot( p, path ) / max( dot( path, path ), 1e-8 ), 0.0, 1.0 );
+            float near = 1.0 - smoothstep( radius, 2.0 * radius, length( p - along * path ) );
+            if( near <= 0.0 )
+              { gl_FragColor = vec4( sharp.rgb, 1.0 );
+                return;
+              }
+                                      // Average what passed over this pixel as the thing moved, which is what's ahead
+                                      // of it by up to the whole path, since the image shows where it ended up:
+            vec3 sum = vec3( 0.0 );
+            for( int i = 0; i < 12; i++ )
+              sum += texture2D( image, f_tex_coord + ( to - from ) * float( i ) / 11.0 ).rgb;
+            gl_FragColor = vec4( mix( sharp.rgb, sum / 12.0, near ), 1.0 );
+          } ` ;
+    }
+  update_GPU( context, gpu_addresses, gpu_state, model_transform, material )
+    { super.update_GPU( context, gpu_addresses, gpu_state, model_transform, material );
+      context.uniform2fv( gpu_addresses.from, material.from );
+      context.uniform2fv( gpu_addresses.to,   material.to );
+      context.uniform1f ( gpu_addresses.radius, material.radius );
+      context.uniform1f ( gpu_addresses.aspect, material.image.width / material.image.height );
+    }
+}
+
+
+const Color_Grading_Shader = defs.Color_Grading_Shader =
+class Color_Grading_Shader extends Post_Shader
+{                                 // **Color_Grading_Shader** gives the image a look:  it multiplies it by the material's
+                                  // "tint", then scales how colorful it is by "saturation" and its contrast by "contrast".
+  effect_glsl_code()
+    { return `
+        uniform vec3 tint;
+        uniform float saturation, contrast;
+
+        void main()
+          { vec3 color = texture2D( image, f_tex_coord ).rgb * tint;
+            color = mix( vec3( luma( color ) ), color, saturation );
+            gl_FragColor = vec4( clamp( ( color - 0.5 ) * contrast + 0.5, 0.0, 1.0 ), 1.0 );
+          } ` ;
+    }
+  update_GPU( context, gpu_addresses, gpu_state, model_transform, material )
+    { super.update_GPU( context, gpu_addresses, gpu_state, model_transform, material );
+      context.uniform3fv( gpu_addresses.tint, material.tint.to3() );
+      context.uniform1f ( gpu_addresses.saturation, material.saturation );
+      context.uniform1f ( gpu_addresses.contrast,   material.contrast );
+    }
+}
+
+
+const Vignette_Shader = defs.Vignette_Shader =
+class Vignette_Shader extends Post_Shader
+{                                 // **Vignette_Shader** darkens the image towards its corners, by up to the material's
+                                  // "amount" there.
+  effect_glsl_code()
+    { return `
+        uniform float amount;
+
+        void main()
+          {                           // 0 at the middle of the image, and 1 in its corners:
+            float out_from_middle = length( f_tex_coord - 0.5 ) * 1.41421;
+            vec3 color = texture2D( image, f_tex_coord ).rgb;
+            gl_FragColor = vec4( color * ( 1.0 - amount * smoothstep( 0.3, 1.0, out_from_middle ) ), 1.0 );
+          } ` ;
+    }
+  update_GPU( context, gpu_addresses, gpu_state, model_transform, material )
+    { super.update_GPU( context, gpu_addresses, gpu_state, model_transform, material );
+      context.uniform1f( gpu_addresses.amount, material.amount );
+    }
+}
+
+
+const FXAA_Shader = defs.FXAA_Shader =
+class FXAA_Shader extends Post_Shader
+{                                 // **FXAA_Shader** smooths jagged edges after the fact (fast approximate anti-aliasing):
+                                  // where the brightness changes sharply, it finds which way the edge runs from the four
+                                  // diagonal neighbors, and blurs along it, but not across it.
+  effect_glsl_code()
+    { return `
+        void main()
+          { float nw = luma( texture2D( image, f_tex_coord + vec2( -1.0, -1.0 ) * texel ).rgb ),
+                  ne = luma( texture2D( image, f_tex_coord + vec2(  1.0, -1.0 ) * texel ).rgb ),
+                  sw = luma( texture2D( image, f_tex_coord + vec2( -1.0,  1.0 ) * texel ).rgb ),
+                  se = luma( texture2D( image, f_tex_coord + vec2(  1.0,  1.0 ) * texel ).rgb ),
+                  m  = luma( texture2D( image, f_tex_coord ).rgb );
+            float darkest  = min( m, min( min( nw, ne ), min( sw, se ) ) ),
+                  brightest = max( m, max( max( nw, ne ), max( sw, se ) ) );
+                                      // The direction along the edge, across the way the brightness changes:
+            vec2 along = vec2( ( sw + se ) - ( nw + ne ), ( nw + sw ) - ( ne + se ) );
+            float reduce = max( ( nw + ne + sw + se ) * ( 0.25 / 8.0 ), 1.0 / 128.0 );
+            along = clamp( along / ( min( abs( along.x ), abs( along.y ) ) + reduce ), -8.0, 8.0 ) * texel;
+
+            vec3 near = 0.5 * ( texture2D( image, f_tex_coord - along / 6.0 ).rgb
+                              + texture2D( image, f_tex_coord + along / 6.0 ).rgb );
+            vec3 far = 0.5 * near + 0.25 * ( texture2D( image, f_tex_coord - along / 2.0 ).rgb
+                                           + texture2D( image, f_tex_coord + along / 2.0 ).rgb );
+                                      // Reaching farther is smoother, unless it reached past the edge's end:
+            float far_luma = luma( far );
+            gl_FragColor = vec4( far_luma < darkest || far_luma > brightest ? near : far, 1.0 );
+          } ` ;
+    }
+}
+
 const Movement_Controls = defs.Movement_Controls =
 class Movement_Controls extends Scene
 {                                       // **Movement_Controls** is a Scene that can be attached to a canvas, like any other
@@ -1031,6 +1562,11 @@ class Shape_From_File extends Shape
       if( this.ready )
         super.draw( context, program_state, model_transform, material );
     }
+  draw_instances( context, program_state, instances, material )
+    {               // draw_instances(): The same, for drawing many copies at once.
+      if( this.ready )
+        super.draw_instances( context, program_state, instances, material );
+    }
 }
 
 const Text_Line = defs.Text_Line =
@@ -0,0 +1,99 @@
+import { tiny } from "./resources.js";
+import { stadium } from "./ballpark.js";
+
+const { Vec, Mat4 } = tiny;
+
+// The parts of the ballpark drawn over and over: the squares of the field's
+// grass, the panels of the outfield fence, and the trees, stones and tufts
+// of grass out past it.  Each comes as a list of transforms, to draw all at
+// once with a shape's draw_instances() (see tiny.Instances), since none of
+// them ever moves.
+
+function field_squares() {
+  // field_squares(): The 19 by 19 squares of the field's grass.
+  const field = stadium
+    .times(Mat4.rotation(1.5708, Vec.of(1, 0, 0)))
+    .times(Mat4.translation([-430, -450, 35]))
+    .times(Mat4.scale([25, 25, 25]))
+    .times(Mat4.translation([-1, 0, -1]));
+  const squares = [];
+  for (let i = 0; i < 19; i++)
+    for (let j = 0; j < 19; j++)
+      squares.push(field.times(Mat4.translation([+i, +j, 0])));
+  return squares;
+}
+
+function fence_panels() {
+  // fence_panels(): The panels along both arms of the outfield fence.
+  const panels = [];
+  const add_arm = (panel, step) => {
+    for (let total = 1; total < 60; total++) {
+      panel = panel.times(Mat4.translation(step));
+      panels.push(panel);
+    }
+  };
+  add_arm(
+    stadium
+      .times(Mat4.translation([-125, -7, -127]))
+      .times(Mat4.scale([0.1, 3, 1])),
+    [0, 0, 2.1]
+  );
+  add_arm(
+    stadium
+      .times(Mat4.translation([-126, -7, -126]))
+      .times(Mat4.scale([1, 3, 0.1])),
+    [2.1, 0, 0]
+  );
+  return panels;
+}
+
+function trees() {
+  // trees(): Where each tree stands, for both its stem and its leaves.  Each
+  // one is placed from the one before it.
+  let tree = Mat4.translation([-90, 21, -90]).times(Mat4.scale([10, 10, 10]));
+  const steps = [
+    [0, 0, 0],
+    [5, 0, -5],
+    [10, 0, -5],
+    [-15, 0, 5],
+    [9, 0, -4],
+    [7, 0, 7],
+    [5, 0, 1]
+  ];
+  return steps.map(step => (tree = tree.times(Mat4.translation(step))));
+}
+
+function stones() {
+  // stones(): Where each of the stone shapes lies, by the shape's name.
+  const first = Mat4.translation([-60, 0, -120]).times(Mat4.scale([7, 7, 7]));
+  const second = first.times(Mat4.translation([5, 0, -9]));
+  const third = second.times(Mat4.translation([10, 0, 5]));
+  const fourth = third.times(Mat4.translation([10, 0, 2]));
+  return { stone_1: [first], stone_2: [second], stone_3: [third, fourth] };
+}
+
+function grass_tufts() {
+  // grass_tufts(): Three patches of tufts of grass in rows, each patch turned
+  // a little further than the one before.
+  const tufts = [];
+  let grass = Mat4.translation(Vec.of(-50, -3, -230)).times(
+    Mat4.scale([5, 5, 5])
+  );
+  const add_patch = rows => {
+    for (let i = 0; i < rows; i++)
+      for (let j = 0; j < 5; j++)
+        tufts.push(grass.times(Mat4.translation([+i * 3, 0, +j * 4])));
+  };
+  add_patch(9);
+  grass = grass
+    .times(Mat4.rotation(0.785398, Vec.of(0, 1, 0)))
+    .times(Mat4.translation(Vec.of(-30, 0, 1)));
+  add_patch(10);
+  grass = grass
+    .times(Mat4.rotation(2 * 0.785398, Vec.of(0, 1, 0)))
+    .times(Mat4.translation(Vec.of(-44, 0, 28)));
+  add_patch(8);
+  return tufts;
+}
+
+export { field_squares, fence_panels, trees, stones, grass_tufts };
@@ -0,0 +1,57 @@
+import { defs } from "./resources.js";
+
+// Slowing the game down around the moments that matter: as a pitch comes in
+// to the plate, and for a beat after the bat meets the ball.  Only the
+// world's time_scale changes, so the physics still takes the same fixed
+// steps and plays out exactly the same, just drawn out over more frames.
+
+const Slow_Motion = (defs.Slow_Motion = class Slow_Motion {
+  // **Slow_Motion** eases a time scale towards a target it picks every frame:
+  // down to "approach" as a pitch closes in on the plate, down to "contact"
+  // for "contact_hold" seconds after the bat meets the ball, and no higher
+  // than "practice" while the batter has it turned on by hand.  "ease" is
+  // how quickly (per second) the scale closes the gap to its target.
+  constructor({
+    approach = 0.35,
+    contact = 0.12,
+    contact_hold = 0.5,
+    practice = 0.3,
+    ease = 20
+  } = {}) {
+    Object.assign(this, { approach, contact, contact_hold, practice, ease });
+    this.scale = 1;
+    this.manual = false;
+    this.contact_left = 0;
+  }
+  hit() {
+    // hit(): The bat just met the ball; hold the moment.
+    this.contact_left = this.contact_hold;
+  }
+  update(real_dt, distance_to_plate = null) {
+    // update(): Move the scale on by "real_dt" seconds of real (not game)
+    // time.  "distance_to_plate" is how far an incoming pitch still has to
+    // go, or null if no pitch is coming.  Returns the new scale.
+    let target = 1;
+    if (distance_to_plate != null) {
+      // Start slowing 14 units out, and reach the slowest 2 units out:
+      const far = Math.min(Math.max((distance_to_plate - 2) / 12, 0), 1);
+      target = this.approach + (1 - this.approach) * far;
+    }
+    if (this.contact_left > 0) {
+      target = this.contact;
+      this.contact_left -= real_dt;
+    }
+    if (this.manual) target = Math.min(target, this.practice);
+    // Easing by a share of the gap that grows with the time passed keeps it
+    // just as smooth at any frame rate:
+    this.scale += (target - this.scale) * (1 - Math.exp(-this.ease * real_dt));
+    return this.scale;
+  }
+  amount() {
+    // amount(): How far slowed down the game is, from 0 at full speed to 1 at
+    // the slowest, for cues like the letterbox and the sound.
+    return Math.min(Math.max((1 - this.scale) / (1 - this.contact), 0), 1);
+  }
+});
+
+export { Slow_Motion };
@@ -0,0 +1,128 @@
+import { tiny, defs } from "./resources.js";
+import { stadium } from "./ballpark.js";
+
+const { Vec, Mat4, Color, Light } = tiny;
+
+// The light towers around the outfield, and the banks of bulbs on them as
+// real lights.  Each bank is a point light that only reaches so far, so the
+// field is lit in pools under the towers, and the banks come on one after
+// another, flickering as they warm up, when night falls.
+
+function light_towers() {
+  // light_towers(): Where the "LIGHTS" section draws each light tower: its
+  // "pole", and its "banks", each a cross "arm" with three "bulbs" along it,
+  // from the top down.
+  const towers = [];
+  const add_towers = (pole, step) => {
+    for (let i = 0; i < 2; i++) {
+      pole = pole.times(Mat4.translation(step));
+      let arm = pole
+        .times(Mat4.scale([2, 2, 1 / 25]))
+        .times(Mat4.translation([0, 0, -16]))
+        .times(Mat4.rotation(1.5708, Vec.of(0, 1, 0)))
+        .times(Mat4.scale([0.5, 0.5, 15]));
+      const banks = [];
+      for (let j = 0; j < 3; j++) {
+        arm = arm.times(Mat4.translation([-6, 0, 0]));
+        const first = arm
+          .times(Mat4.scale([2, 2, 1 / 15]))
+          .times(Mat4.translation([0, 1, -5]));
+        const bulbs = [0, 1, 2].map(k =>
+          first.times(Mat4.translation([0, 0, 5 * k]))
+        );
+        banks.push({ arm, bulbs });
+      }
+      towers.push({ pole, banks });
+    }
+  };
+  add_towers(
+    stadium
+      .times(Mat4.translation([35, 2.5, -130]))
+      .times(Mat4.rotation(1.5708, Vec.of(1, 0, 0)))
+      .times(Mat4.scale([0.5, 0.5, 25])),
+    [-130, 0, 0]
+  );
+  add_towers(
+    stadium
+      .times(Mat4.translation([-130, 2.5, 35]))
+      .times(Mat4.rotation(1.5708, Vec.of(1, 0, 0)))
+      .times(Mat4.rotation(-1.5708, Vec.of(0, 0, 1)))
+      .times(Mat4.scale([0.5, 0.5, 25])),
+    [130, 0, 0]
+  );
+  return towers;
+}
+
+function flicker(seed, t) {
+  // flicker(): A number from 0 up to 1 that jumps a dozen times a second,
+  // the same for the same "seed" and time.  It's only for looks, so it
+  // doesn't draw from the game's seeded randomness.
+  const x = Math.sin(seed * 12.9898 + Math.floor(t * 12) * 78.233) * 43758.5453;
+  return x - Math.floor(x);
+}
+
+const Stadium_Lights = (defs.Stadium_Lights = class Stadium_Lights {
+  // **Stadium_Lights** turns every bank of bulbs on the "towers" (see
+  // light_towers()) into a point light of "color", fading with distance by
+  // "size" like any Light and reaching no farther than "range".  Switched
+  // on, the banks come on one after another "delay" seconds apart, each
+  // flickering for "warm_up" seconds before it burns steady.  Switched off,
+  // they all go dark at once.
+  constructor(
+    towers,
+    {
+      color = Color.of(0.35, 0.33, 0.28, 1),
+      size = 1000,
+      range = 70,
+      delay = 0.25,
+      warm_up = 0.8
+    } = {}
+  ) {
+    Object.assign(this, { towers, color, delay, warm_up });
+    this.on = false;
+    this.time = 0;
+    this.banks = [];
+    towers.forEach((tower, t) =>
+      tower.banks.forEach(bank => {
+        const center = bank.bulbs[1].times(Vec.of(0, 0, 0, 1));
+        const light = new Light(center, Color.of(0, 0, 0, 1), size);
+        light.range = range;
+        this.banks.push({ tower: t, light, level: 0 });
+      })
+    );
+  }
+  switch_on(on) {
+    // switch_on(): Start the banks coming on, or turn them off, if they
+    // aren't that way already.
+    if (on != this.on) Object.assign(this, { on, time: 0 });
+  }
+  update(real_dt) {
+    // update(): Move on by "real_dt" seconds of real (not game) time, so
+    // the lights come on at the same pace in slow motion.
+    this.time += real_dt;
+    this.banks.forEach((bank, i) => {
+      bank.level = this.on ? this.warming(i, this.time - i * this.delay) : 0;
+      bank.light.color = this.color.times(bank.level);
+    });
+  }
+  warming(i, t) {
+    // warming(): How bright bank i is, from 0 to 1, "t" seconds after its
+    // turn to come on.  It flicks on more and more of the time, brighter
+    // each time, until it stays on.
+    if (t <= 0) return 0;
+    const warmth = t / this.warm_up;
+    if (warmth >= 1) return 1;
+    return flicker(i + 1, t) < warmth ? 0.5 + 0.5 * warmth : 0.05;
+  }
+  tower_level(tower) {
+    // tower_level(): How bright a tower is now, across all of its banks.
+    const banks = this.banks.filter(b => b.tower == tower);
+    return banks.reduce((sum, b) => sum + b.level, 0) / banks.length;
+  }
+  lights() {
+    // lights(): The banks giving off any light now, as Lights.
+    return this.banks.filter(b => b.level > 0).map(b => b.light);
+  }
+});
+
+export { light_towers, Stadium_Lights };
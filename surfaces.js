@@ -0,0 +1,64 @@
+// How a ball comes off everything solid in the stadium.  "restitution" is how
+// much of the speed into a surface the ball bounces back with, "friction"
+// (Coulomb's coefficient) is how hard the surface grabs the ball as it skids
+// across, and "rolling" is how hard it holds back a ball rolling on it, as a
+// share of the ball's weight.
+const surfaces = {
+  grass: { name: "Grass", restitution: 0.4, friction: 0.45, rolling: 0.5 },
+  dirt: { name: "Dirt", restitution: 0.3, friction: 0.6, rolling: 0.6 },
+  fence: { name: "Fence", restitution: 0.3, friction: 0.35, rolling: 0 },
+  wall: { name: "Wall", restitution: 0.65, friction: 0.25, rolling: 0 },
+  bat: { name: "Bat", restitution: 0.5, friction: 0.2, rolling: 0 }
+};
+
+// A ball coming into a surface slower than this (in units/s) doesn't bounce,
+// so that one resting on the ground settles instead of jittering:
+const settle_speed = 1;
+
+function bounce(body, normal, radius, surface) {
+  // bounce(): Apply the impulse a surface pushes back on a ball with, where
+  // the ball of "radius" touches it with the surface's "normal" pointing out
+  // towards the ball.  The surface doesn't move.  The normal impulse reverses
+  // the ball's speed into the surface, scaled by its restitution.  Friction
+  // works against the ball's surface skidding along it, slowing the ball and
+  // spinning it up towards rolling; it can grab at most "friction" times the
+  // normal impulse, and a solid ball stops skidding once it has 2/7 of its
+  // skidding speed taken away.
+  const spin = body.spin_axis.times(body.angular_velocity);
+  const skin = body.linear_velocity.plus(spin.cross(normal.times(-radius)));
+  const approach = skin.dot(normal);
+  if (approach >= 0) return;
+
+  const restitution = -approach > settle_speed ? surface.restitution : 0;
+  const push = -(1 + restitution) * approach;
+  let velocity = body.linear_velocity.plus(normal.times(push));
+  let new_spin = spin;
+
+  const skid = skin.minus(normal.times(approach));
+  const skid_speed = skid.norm();
+  if (skid_speed) {
+    const direction = skid.times(1 / skid_speed);
+    const grab = Math.min(surface.friction * push, (2 / 7) * skid_speed);
+    velocity = velocity.minus(direction.times(grab));
+    new_spin = new_spin.plus(
+      normal.cross(direction).times((5 * grab) / (2 * radius))
+    );
+  }
+
+  // Rolling resistance holds back the ball's motion along the surface, and
+  // its spin with it, in proportion to how hard the surface pushed back.
+  // Resting on the ground, that push is the ball's weight:
+  const along = velocity.minus(normal.times(velocity.dot(normal)));
+  const speed = along.norm();
+  if (surface.rolling && speed) {
+    const keep = Math.max(0, 1 - (surface.rolling * push) / speed);
+    velocity = velocity.minus(along.times(1 - keep));
+    new_spin = new_spin.times(keep);
+  }
+
+  body.linear_velocity = velocity;
+  body.angular_velocity = new_spin.norm();
+  if (body.angular_velocity) body.spin_axis = new_spin.normalized();
+}
+
+export { surfaces, settle_speed, bounce };
@@ -0,0 +1,187 @@
+import assert from "assert";
+import { tiny } from "./resources.js";
+import { timing_window, bat_collider, swing_contact } from "./batting.js";
+import { Sphere } from "./collision.js";
+import { Body, Physics_World } from "./physics-world.js";
+import {
+  Strike_Zone,
+  fence,
+  batted_ball_calls,
+  judge_batted_ball
+} from "./game-rules.js";
+import { choose_pitch } from "./pitcher-brain.js";
+import { ball_size } from "./at-bat.js";
+import { parse_options, run } from "./headless.js";
+
+const { Vec, Mat4 } = tiny;
+
+// Checks of the game's physics and rules that run in Node, without a browser:
+//
+//   node tests.js
+//
+// Prints each test's name with "ok" or what went wrong, and exits with an
+// error if any failed.
+
+// A stand-in for a random stream that gives "values" in order and 0.5 from
+// then on, so that a test can steer each of the pitcher's choices:
+const stub_random = (...values) => () => (values.length ? values.shift() : 0.5);
+
+const zone = new Strike_Zone(Strike_Zone.default_location);
+
+const tests = {
+  "a bat swung farther than it's thick in one step still meets the ball"() {
+    // A ball sitting still, and a bat that crosses it from one side to the
+    // other in a single step, much farther than the bat is thick:
+    const world = new Physics_World();
+    const bat = world.add(
+      new Body(null, null, Vec.of(1, 1, 1)).emplace(
+        Mat4.translation([-3, 0, 0]),
+        Vec.of(0, 0, 0),
+        0
+      )
+    );
+    bat.name = "bat";
+    bat.collider = bat_collider(0.3);
+    const reach = bat.collider.radius + 0.3;
+    const ball = world.add(
+      new Body(null, null, Vec.of(1, 1, 1)).emplace(
+        Mat4.identity(),
+        Vec.of(0, 0, 0),
+        0
+      )
+    );
+    ball.name = "ball";
+    ball.collider = new Sphere(Vec.of(0, 0, 0), 0.3);
+    const hits = [];
+    world.on("ball hit bat", ({ body, other, time }) =>
+      hits.push({ time, center: body.center_at_impact(other, time) })
+    );
+
+    bat.move_to(Mat4.translation([3, 0, 0]));
+    world.step(world.dt);
+    assert.deepEqual(bat.previous.center, Vec.of(-3, 0, 0));
+    assert.deepEqual(bat.center, Vec.of(3, 0, 0));
+    // The world finds the hit at the start of the next step, where the bat
+    // came within reach (its radius and the ball's) of the ball, 3 - reach
+    // of the 6 units along its move:
+    world.step(world.dt);
+    assert.equal(hits.length, 1);
+    assert(
+      Math.abs(hits[0].time - (3 - reach) / 6) < 0.01,
+      "hit at " + hits[0].time
+    );
+    // Backed up to then, the ball sits just touching the bat where it is now:
+    assert(hits[0].center.minus(Vec.of(3 + reach, 0, 0)).norm() < 0.01);
+  },
+  "a headless run has foul balls, and outs on balls in play"() {
+    // 100 plate appearances against the first level (see headless.js):
+    const { levels } = run({
+      ...parse_options([]),
+      at_bats: 100,
+      levels: [1],
+      seed: "7"
+    });
+    const { fouls, results } = levels[1];
+    const { outs, singles, doubles, triples } = results;
+    assert(fouls > 0, "no fouls");
+    // At least a third of the fair balls that stay in the park are caught
+    // or thrown out:
+    const in_the_park = outs + singles + doubles + triples;
+    assert(outs >= in_the_park / 3, outs + " outs of " + in_the_park);
+  },
+  "the headless harness turns down options it can't use"() {
+    for (let args of [
+      ["--at-bats", "ten"],
+      ["--flight", "floaty"],
+      ["--levels", "1,5"],
+      ["--at-bats", "10", "--seed"],
+      ["--swing", "hard"]
+    ])
+      assert.throws(() => parse_options(args), args.join(" "));
+    const { at_bats, levels, flight } = parse_options(
+      "--at-bats 10 --levels 2,4 --flight realistic".split(" ")
+    );
+    assert.deepEqual([at_bats, levels, flight], [10, [2, 4], "realistic"]);
+  },
+  "a ball that clips the top of the fence is still in play"() {
+    // Straight out to center field, where the fence crosses z = -149, with
+    // the ball's center just above the top of the fence, and then clear of it:
+    const clipped = Vec.of(0, fence.top + ball_size / 2, -149);
+    const cleared = Vec.of(0, fence.top + 2 * ball_size, -149);
+    assert.equal(
+      judge_batted_ball(clipped, true, ball_size),
+      batted_ball_calls.fair
+    );
+    assert.equal(
+      judge_batted_ball(cleared, true, ball_size),
+      batted_ball_calls.home_run
+    );
+  },
+  "the pitcher throws strikes behind in the count and chases ahead"() {
+    // The first draw sends the pitcher to work the count (see plan_pitch()):
+    const pitch = (balls, strikes) =>
+      choose_pitch({ level: 4, balls, strikes, swings: [] }, stub_random(0));
+    const behind = pitch(3, 0),
+      ahead = pitch(0, 2);
+    assert.equal(behind.type, "fastball");
+    assert(zone.contains(behind.target), "3-0 pitch out of the zone");
+    assert.equal(ahead.type, "slider");
+    assert(!zone.contains(ahead.target), "0-2 pitch in the zone");
+  },
+  "the pitcher plays off the batter's timing and whiffs"() {
+    const pitch = (swings, strikes = 1) =>
+      choose_pitch({ level: 4, balls: 1, strikes, swings }, stub_random(0))
+        .type;
+    const timed = timing =>
+      [1, 2].map(() => ({ type: "fastball", timing, whiff: false }));
+    // With no read on the batter, the same draws give a breaking ball:
+    assert.equal(pitch(timed("on_time")), "slider");
+    assert.equal(pitch(timed("early")), "changeup");
+    assert.equal(pitch(timed("late")), "fastball");
+    // With two strikes, the batter gets the pitch just swung through:
+    assert.equal(pitch([], 2), "slider");
+    const whiff = { type: "curveball", timing: "on_time", whiff: true };
+    assert.equal(pitch([whiff], 2), "curveball");
+  },
+  "later levels' pitchers work the count and hit their spots"() {
+    // At 0-2, the first level's pitcher doesn't think it through and just
+    // throws, while the third level's goes for a chase:
+    const pitch = (level, random) =>
+      choose_pitch({ level, balls: 0, strikes: 2, swings: [] }, random);
+    const first = pitch(1, stub_random(0.3)),
+      third = pitch(3, stub_random(0.3));
+    assert.equal(first.type, "fastball");
+    assert(zone.contains(first.target), "level 1 pitch out of the zone");
+    assert.equal(third.type, "slider");
+    assert(!zone.contains(third.target), "level 3 pitch in the zone");
+    // The last two draws are how far the pitch misses its spot (0.5 is right
+    // on it).  Going for the same spot with the same draws, a later level's
+    // pitcher misses it by less:
+    const miss = level =>
+      pitch(level, stub_random(0, 0.5, 0.5, 0.5, 0.5, 0, 0))
+        .target.minus(pitch(level, stub_random(0)).target)
+        .norm();
+    assert(miss(4) < miss(1), "level 4 missed by " + miss(4));
+  },
+  "a swing far off the timing sprays the ball no farther round than foul"() {
+    // Three windows early or late turns the ball around to straight back
+    // behind the plate, and no farther, to come out fair on the other side:
+    const spray = timing_error =>
+      swing_contact({ timing_error, along: 0, above: 0 }).spray_angle;
+    assert.equal(spray(3 * timing_window), -180);
+    assert.equal(spray(-3 * timing_window), 180);
+    // Within the window, the spray still follows the timing:
+    assert(spray(0.25 * timing_window) < 0 && spray(0) == 0);
+  }
+};
+
+let failed = 0;
+for (let [name, test] of Object.entries(tests))
+  try {
+    test();
+    console.log("ok - " + name);
+  } catch (error) {
+    failed++;
+    console.log("not ok - " + name + "\n  " + error.message);
+  }
+if (failed) process.exit(1);
@@ -0,0 +1,111 @@
+import { tiny, defs } from "./resources.js";
+
+const { Vec, Color } = tiny;
+
+// The time of day at the ballpark, as a clock running from 0 up to 24 hours.
+// Everything that changes with it is worked out from the hour: where the sun
+// is and what color it shines, how much of the sky is day, dawn, dusk or
+// night, and when it's dark enough for the stadium's lights.
+
+function smoothstep(from, to, x) {
+  const u = Math.min(Math.max((x - from) / (to - from), 0), 1);
+  return u * u * (3 - 2 * u);
+}
+
+const Time_Of_Day = (defs.Time_Of_Day = class Time_Of_Day {
+  // **Time_Of_Day** keeps the "hour" at the ballpark.  The sun comes up at
+  // "sunrise" and goes down at "sunset", and the light fades in and out over
+  // "twilight" hours either side of each.  The sun rises over the first base
+  // side (+x), crosses the sky tilted back over home plate and sets over the
+  // third base side.
+  constructor(
+    hour = 13,
+    { sunrise = 6.5, sunset = 19.75, twilight = 1.25 } = {}
+  ) {
+    Object.assign(this, { sunrise, sunset, twilight });
+    this.set(hour);
+  }
+  set(hour) {
+    this.hour = ((hour % 24) + 24) % 24;
+  }
+  advance(hours) {
+    this.set(this.hour + hours);
+  }
+  glide(hour, real_dt, rate = 0.5) {
+    // glide(): Move the clock on towards "hour" by "real_dt" seconds of
+    // real time, covering a share "rate" of the way each second, so a clock
+    // following the game eases along instead of jumping.
+    this.set(this.hour + (hour - this.hour) * (1 - Math.exp(-rate * real_dt)));
+  }
+  daylight() {
+    // daylight(): How much of the day's light there is, from 0 in the dead
+    // of night up to 1 once the sun is well up.
+    return Math.min(
+      smoothstep(
+        this.sunrise - this.twilight,
+        this.sunrise + this.twilight,
+        this.hour
+      ),
+      1 -
+        smoothstep(
+          this.sunset - this.twilight,
+          this.sunset + this.twilight,
+          this.hour
+        )
+    );
+  }
+  dark() {
+    // dark(): Whether it's dark enough for the stadium's lights.
+    return this.daylight() < 0.6;
+  }
+  between(night, day) {
+    // between(): A value fading from "night" to "day" with the daylight.
+    return night + (day - night) * this.daylight();
+  }
+  sun_direction() {
+    // sun_direction(): A unit vector towards the sun, which is below the
+    // horizon (y < 0) at night.
+    const angle =
+      (Math.PI * (this.hour - this.sunrise)) / (this.sunset - this.sunrise);
+    return Vec.of(0, 0.85, 0.52)
+      .times(Math.sin(angle))
+      .plus(Vec.of(Math.cos(angle), 0, 0))
+      .normalized();
+  }
+  sun_color() {
+    // sun_color(): White when the sun is high, reddening as it gets low, and
+    // black once it has set.
+    const height = this.sun_direction()[1];
+    return Color.of(1, 0.5, 0.25, 1)
+      .mix(Color.of(1, 1, 0.95, 1), smoothstep(0, 0.5, height))
+      .times(this.daylight() * smoothstep(-0.05, 0.05, height));
+  }
+  sky() {
+    // sky(): How much the sky looks like "day", "dawn", "dusk" and "night"
+    // now, adding up to 1.  Dawn and dusk are brightest as the sun crosses
+    // the horizon.
+    const daylight = this.daylight();
+    const glow = Math.sqrt(4 * daylight * (1 - daylight));
+    const morning = this.hour < 12;
+    return {
+      day: (1 - glow) * daylight,
+      dawn: morning ? glow : 0,
+      dusk: morning ? 0 : glow,
+      night: (1 - glow) * (1 - daylight)
+    };
+  }
+  label() {
+    // label(): The time, like "7:45 pm".
+    const minutes = Math.floor(this.hour * 60) % (24 * 60);
+    const hour = Math.floor(minutes / 60);
+    return (
+      ((hour + 11) % 12) +
+      1 +
+      ":" +
+      String(minutes % 60).padStart(2, "0") +
+      (hour < 12 ? " am" : " pm")
+    );
+  }
+});
+
+export { Time_Of_Day };
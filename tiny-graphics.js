@@ -354,23 +354,71 @@ class Vertex_Buffer extends Graphics_Card_Object
       }
       return gpu_instance;
     }
-  execute_shaders( gl, type )     // execute_shaders(): Draws this shape's entire vertex buffer.
+  execute_shaders( gl, type, instancing, instance_count )     // execute_shaders(): Draws this shape's entire vertex buffer.
     {       // Draw shapes using indices if they exist.  Otherwise, assume the vertices are arranged as triples.
+            // With "instancing" (the ANGLE_instanced_arrays extension), draw "instance_count" copies at once.
       if( this.indices.length )
       { gl.bindBuffer( gl.ELEMENT_ARRAY_BUFFER, this.index_buffer );
-        gl.drawElements( gl[type], this.indices.length, gl.UNSIGNED_INT, 0 ) 
+        if( instancing )
+          instancing.drawElementsInstancedANGLE( gl[type], this.indices.length, gl.UNSIGNED_INT, 0, instance_count );
+        else gl.drawElements( gl[type], this.indices.length, gl.UNSIGNED_INT, 0 ) 
       }
+      else if( instancing )
+        instancing.drawArraysInstancedANGLE( gl[type], 0, Object.values( this.arrays )[0].length, instance_count );
       else  gl.drawArrays( gl[type], 0, Object.values( this.arrays )[0].length );
     }
   draw( webgl_manager, program_state, model_transform, material, type = "TRIANGLES" )
     {                                       // draw():  To appear onscreen, a shape of any variety goes through this function,
                                             // which executes the shader programs.  The shaders draw the right shape due to
                                             // pre-selecting the correct buffer region in the GPU that holds that shape's data.
+                                            // While a Shadow_Map is being drawn, only shapes casting shadows go in, and
+                                            // only their depth matters:
+      if( program_state.depth_material )
+        { if( !material.casts_shadow ) return;
+          material = program_state.depth_material;
+        }
       const gpu_instance = this.activate( webgl_manager.context );
       material.shader.activate( webgl_manager.context, gpu_instance.webGL_buffer_pointers, program_state, model_transform, material );
                                                               // Run the shaders to draw every triangle now:
       this.execute_shaders( webgl_manager.context, type );
     }
+  draw_instances( webgl_manager, program_state, instances, material, type = "TRIANGLES" )
+    {                                       // draw_instances():  Like draw(), but draws a copy of the shape for each of
+                                            // "instances" (see class Instances), in a single draw call when the graphics
+                                            // card can.  Only shaders that read the per-instance attributes (see
+                                            // Shader.attribute_defaults) tell the copies apart.
+      if( program_state.depth_material )
+        { if( !material.casts_shadow ) return;
+          material = program_state.depth_material;
+        }
+      const gl = webgl_manager.context, instancing = webgl_manager.instanced_arrays;
+      if( !instances.transforms.length ) return;
+      const buffer_pointers = Object.assign( {}, this.activate( gl ).webGL_buffer_pointers,
+                                             instancing ? instances.activate( gl ).webGL_buffer_pointers : {} );
+      const attributes = material.shader.activate( gl, buffer_pointers, program_state, Mat4.identity(), material )
+                                        .gpu_addresses.shader_attributes;
+      const per_instance = Object.keys( Shader.attribute_defaults ).filter( name => attributes[ name ] );
+      if( !instancing )
+        {                                   // Without the ANGLE_instanced_arrays extension, draw the copies one at a
+                                            // time, holding each one's values in the per-instance attributes:
+          instances.transforms.forEach( ( transform, i ) =>
+            { const values = { instance_transform: transform.transposed(), instance_color: [ instances.colors[i] ] };
+              for( let name of per_instance )
+                Shader.hold_attribute( gl, attributes[ name ], values[ name ] );
+              this.execute_shaders( gl, type );
+            } );
+          return;
+        }
+                                            // Step the per-instance attributes along once per copy instead of once per
+                                            // vertex, just for this draw:
+      const set_divisors = divisor => per_instance.forEach( name =>
+        { for( let i = 0; i < attributes[ name ].columns; i++ )
+            instancing.vertexAttribDivisorANGLE( attributes[ name ].index + i, divisor );
+        } );
+      set_divisors( 1 );
+      this.execute_shaders( gl, type, instancing, instances.transforms.length );
+      set_divisors( 0 );
+    }
 }
 
 
@@ -476,6 +524,40 @@ class Shape extends Vertex_Buffer
     }
 }
 
+
+const Instances = tiny.Instances =
+class Instances extends Graphics_Card_Object
+{                       // **Instances** lists the copies of a shape to draw all at once, with the shape's draw_instances():
+                        // a Mat4 in "transforms" placing each copy, and a Color in "colors" that multiplies the material's
+                        // color for it (white, for no change, unless given).  Shaders read them from the per-instance
+                        // attributes "instance_transform" and "instance_color".  To change them after they've been drawn,
+                        // edit the lists and call copy_onto_graphics_card() again, naming the lists that changed.
+  constructor( transforms, colors = transforms.map( () => Color.of( 1,1,1,1 ) ) )
+    { super();
+      Object.assign( this, { transforms, colors } );
+    }
+  copy_onto_graphics_card( context, selection_of_lists = [ "transforms", "colors" ] )
+    {                                     // copy_onto_graphics_card():  Send the lists to their own buffers on the GPU,
+                                          // the first time or again to overwrite them.  A list that isn't on this
+                                          // GPU context yet always goes.
+      const gpu_instance = super.copy_onto_graphics_card( context, { webGL_buffer_pointers: {} } );
+      const gl = context, pointers = gpu_instance.webGL_buffer_pointers;
+                                          // Each transform goes over column by column, the way GLSL reads a mat4:
+      const lists = { transforms: () => this.transforms.map( t => Mat.flatten_2D_to_1D( t.transposed() ) ),
+                      colors:     () => this.colors };
+      const attribute_names = { transforms: "instance_transform", colors: "instance_color" };
+      for( let name of Object.keys( lists ) )
+        { const attribute = attribute_names[ name ];
+          if( pointers[ attribute ] && !selection_of_lists.includes( name ) ) continue;
+          const buffer = pointers[ attribute ] = pointers[ attribute ] || gl.createBuffer();
+          gl.bindBuffer( gl.ARRAY_BUFFER, buffer );
+          gl.bufferData( gl.ARRAY_BUFFER, Mat.flatten_2D_to_1D( lists[ name ]() ), gl.DYNAMIC_DRAW );
+        }
+      return gpu_instance;
+    }
+}
+
+
 const Light = tiny.Light =
 class Light
 {                         // **Light** stores the properties of one light in a scene.  Contains a coordinate and a
@@ -508,17 +590,19 @@ class Graphics_Addresses
       }
     
     this.shader_attributes = {};
-                                                      // Assume per-vertex attributes will each be a set of 1 to 4 floats:
-    const type_to_size_mapping = { 0x1406: 1, 0x8B50: 2, 0x8B51: 3, 0x8B52: 4 };
+                                                      // Assume per-vertex attributes will each be a set of 1 to 4 floats,
+                                                      // or a mat4, which takes up four attribute slots, one per column:
+    const type_to_size_mapping = { 0x1406: 1, 0x8B50: 2, 0x8B51: 3, 0x8B52: 4, 0x8B5C: 4 };
     const numAttribs = gl.getProgramParameter( program, gl.ACTIVE_ATTRIBUTES ); 
     for ( let i = 0; i < numAttribs; i++ )
     {                              // https://github.com/greggman/twgl.js/blob/master/dist/twgl-full.js for another example:
       const attribInfo = gl.getActiveAttrib( program, i );
+      const columns = attribInfo.type == 0x8B5C ? 4 : 1;
                                                       // Pointers to all shader attribute variables:
       this.shader_attributes[ attribInfo.name ] = { index: gl.getAttribLocation( program, attribInfo.name ),
-                                                    size: type_to_size_mapping[ attribInfo.type ],
+                                                    size: type_to_size_mapping[ attribInfo.type ], columns,
                                                     enabled: true, type: gl.FLOAT,
-                                                    normalized: false, stride: 0, pointer: 0 };
+                                                    normalized: false, stride: columns == 4 ? 64 : 0, pointer: 0 };
     }
   }
 }
@@ -605,6 +689,9 @@ class Shader extends Graphics_Card_Object
 
       gl.attachShader( program, vertShdr );
       gl.attachShader( program, fragShdr );
+                                      // Keep "position" in attribute slot 0, which some browsers need turned on as an array,
+                                      // so that a per-instance attribute holding one value (see activate()) never lands there:
+      gl.bindAttribLocation( program, 0, "position" );
       gl.linkProgram(  program );
       if( !gl.getProgramParameter( program, gl.LINK_STATUS) )
         throw "Shader linker error: "           + gl.getProgramInfoLog( this.program );
@@ -627,11 +714,29 @@ class Shader extends Graphics_Card_Object
           { if( attribute.index >= 0 ) context.disableVertexAttribArray( attribute.index );
             continue;
           }
-        context.enableVertexAttribArray( attribute.index );
+                          // An attribute there's no buffer for, like a per-instance one when a shape is drawn on its own,
+                          // holds its default value for every vertex:
+        if( !buffer_pointers[ attr_name ] && Shader.attribute_defaults[ attr_name ] )
+          { Shader.hold_attribute( context, attribute, Shader.attribute_defaults[ attr_name ] );
+            continue;
+          }
         context.bindBuffer( context.ARRAY_BUFFER, buffer_pointers[ attr_name ] );    // Activate the correct buffer.
-        context.vertexAttribPointer( attribute.index, attribute.size,   attribute.type,            // Populate each attribute 
-                                attribute.normalized, attribute.stride, attribute.pointer );       // from the active buffer.
+        for( let i = 0; i < attribute.columns; i++ )                                 // A mat4 fills a slot per column.
+          { context.enableVertexAttribArray( attribute.index + i );
+            context.vertexAttribPointer( attribute.index + i, attribute.size, attribute.type,      // Populate each attribute 
+                                attribute.normalized, attribute.stride,                          // from the active buffer.
+                                attribute.pointer + 4 * attribute.size * i );
+          }
       }
+      return gpu_instance;
+    }
+  static hold_attribute( context, attribute, columns )
+    {                                     // hold_attribute():  Turn off an attribute's buffer, so that it's the same for
+                                          // every vertex:  "columns", a list of its values for each slot it fills.
+      columns.forEach( ( column, i ) =>
+        { context.disableVertexAttribArray( attribute.index + i );
+          context.vertexAttrib4fv( attribute.index + i, column );
+        } );
     }                           // Your custom Shader has to override the following functions:    
   vertex_glsl_code(){}
   fragment_glsl_code(){}
@@ -680,6 +785,10 @@ class Shader extends Graphics_Card_Object
                              // needed to populate your particular shader program with all the data values it is expecting.
 }
 
+                                    // The per-instance attributes (see class Instances) and the values they hold when a
+                                    // shape is drawn on its own:  no change to where it goes, and no tint.
+Shader.attribute_defaults = { instance_transform: Mat4.identity(), instance_color: [ Color.of( 1,1,1,1 ) ] };
+
 
 const Texture = tiny.Texture =
 class Texture extends Graphics_Card_Object
@@ -737,6 +846,173 @@ class Texture extends Graphics_Card_Object
 }
 
 
+const Cube_Map = tiny.Cube_Map =
+class Cube_Map extends Graphics_Card_Object
+{                                             // **Cube_Map** is a texture made of six square images, one on each face of
+                                              // a cube around the viewer.  Shaders look it up by a direction (with GLSL's
+                                              // textureCube()) instead of by a texture coordinate, so it's seamless all
+                                              // the way around, like a sky.  Give it six image files, facing +x, -x, +y, 
+                                              // -y, +z and -z in that order and laid out the usual OpenGL way (as seen
+                                              // from inside the cube), or one file holding an equirectangular panorama
+                                              // (longitude across, latitude down, -z in the middle), which gets cut into
+                                              // six faces "face_size" pixels across once it loads.
+  constructor( sources, face_size = 512 )
+    { super();
+      Object.assign( this, { sources, face_size } );
+      const filenames = typeof sources == "string" ? [ sources ] : sources;
+      let loaded = 0;
+      this.images = filenames.map( filename =>
+        { const image = new Image();
+          image.onload = () => { if( ++loaded == filenames.length ) this.make_faces() };
+          image.crossOrigin = "Anonymous";           // Avoid a browser warning.
+          image.src = filename;
+          return image;
+        } );
+    }
+  make_faces()
+    {                                     // make_faces():  Once every image has loaded, settle on the six faces.
+      this.faces = this.images.length == 6 ? this.images : Cube_Map.faces_from_panorama( this.images[0], this.face_size );
+      this.ready = true;
+    }
+  static faces_from_panorama( image, size )
+    {                                     // faces_from_panorama():  Cut an equirectangular panorama into the six faces
+                                          // of a cube map, by looking up each face pixel's direction in it.
+      const canvas = document.createElement( "canvas" );
+      Object.assign( canvas, { width: image.width, height: image.height } );
+      const context = canvas.getContext( "2d" );
+      context.drawImage( image, 0, 0 );
+      const { width, height, data } = context.getImageData( 0, 0, image.width, image.height );
+                                          // Blend the four panorama pixels nearest to a point, wrapping around in
+                                          // longitude:
+      const sample = ( x, y, channel ) =>
+        { const x0 = Math.floor( x ), y0 = Math.min( Math.max( Math.floor( y ), 0 ), height - 2 ),
+                fx = x - x0, fy = Math.min( Math.max( y - y0, 0 ), 1 );
+          const at = ( i, j ) => data[ 4 * ( j * width + ( ( i % width ) + width ) % width ) + channel ];
+          return ( at( x0, y0   ) * ( 1 - fx ) + at( x0 + 1, y0   ) * fx ) * ( 1 - fy )
+               + ( at( x0, y0+1 ) * ( 1 - fx ) + at( x0 + 1, y0+1 ) * fx ) * fy;
+        }
+                                          // The direction of each face's pixel ( s, t ), each running from -1 to 1
+                                          // left to right and top to bottom:
+      const directions = [ ( s,t ) => [  1, -t, -s ], ( s,t ) => [ -1, -t,  s ], ( s,t ) => [  s,  1,  t ],
+                           ( s,t ) => [  s, -1, -t ], ( s,t ) => [  s, -t,  1 ], ( s,t ) => [ -s, -t, -1 ] ];
+      return directions.map( direction =>
+        { const face = context.createImageData( size, size );
+          for( let row = 0; row < size; row++ )
+            for( let column = 0; column < size; column++ )
+            { const [ x, y, z ] = direction( 2 * ( column + .5 ) / size - 1, 2 * ( row + .5 ) / size - 1 );
+              const longitude = Math.atan2( x, -z ), latitude = Math.atan2( y, Math.hypot( x, z ) );
+              const u = ( .5 + longitude / ( 2 * Math.PI ) ) * width - .5, v = ( .5 - latitude / Math.PI ) * height - .5;
+              for( let channel = 0; channel < 4; channel++ )
+                face.data[ 4 * ( row * size + column ) + channel ] = sample( u, v, channel );
+            }
+          return face;
+        } );
+    }
+  copy_onto_graphics_card( context )
+    {                                     // copy_onto_graphics_card():  Called automatically as needed to load the 
+                                          // six faces onto one of your GPU contexts for their first time.
+      const initial_gpu_representation = { texture_buffer_pointer: undefined };
+      const gpu_instance = super.copy_onto_graphics_card( context, initial_gpu_representation );
+
+      if( !gpu_instance.texture_buffer_pointer ) gpu_instance.texture_buffer_pointer = context.createTexture();
+
+      const gl = context;
+      gl.bindTexture( gl.TEXTURE_CUBE_MAP, gpu_instance.texture_buffer_pointer );
+      gl.pixelStorei( gl.UNPACK_FLIP_Y_WEBGL, false );         // Cube map faces go top row first, unlike Textures.
+      this.faces.forEach( ( face, i ) =>
+        gl.texImage2D( gl.TEXTURE_CUBE_MAP_POSITIVE_X + i, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, face ) );
+      gl.pixelStorei( gl.UNPACK_FLIP_Y_WEBGL, true );
+      gl.texParameteri( gl.TEXTURE_CUBE_MAP, gl.TEXTURE_MAG_FILTER, gl.LINEAR );
+      gl.texParameteri( gl.TEXTURE_CUBE_MAP, gl.TEXTURE_MIN_FILTER, gl.LINEAR );
+      gl.texParameteri( gl.TEXTURE_CUBE_MAP, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE );
+      gl.texParameteri( gl.TEXTURE_CUBE_MAP, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE );
+      return gpu_instance;
+    }
+  activate( context, texture_unit = 0 )
+    {                                     // activate(): Selects this Cube_Map in GPU memory on a texture unit, so the
+                                          // next shape draws using it.  Like a Texture, nothing happens until it loads.
+      if( !this.ready )
+        return;
+      context.activeTexture( context[ "TEXTURE" + texture_unit ] );
+      const gpu_instance = super.activate( context );
+      context.bindTexture( context.TEXTURE_CUBE_MAP, gpu_instance.texture_buffer_pointer );
+    }
+}
+
+
+
+const Framebuffer = tiny.Framebuffer =
+class Framebuffer extends Graphics_Card_Object
+{                                             // **Framebuffer** is a render target:  an image in GPU memory to draw into instead of
+                                              // the canvas, which shaders can then read like a Texture.  It holds a color texture
+                                              // "width" by "height" pixels, and a depth buffer for drawing 3D shapes into it unless
+                                              // "depth" is false.  Call draw_into() to send draws to it, and activate() to read it.
+                                              // Its size can change (see resize()), such as to follow the canvas.
+  constructor( width, height, depth = true )
+    { super();
+      Object.assign( this, { width, height, depth, ready: true } );
+    }
+  copy_onto_graphics_card( context )
+    {                                     // copy_onto_graphics_card():  Make the framebuffer and its buffers the first time
+                                          // it's used on a GPU context, and size them again whenever its size changed.
+      const initial_gpu_representation = { framebuffer: undefined, texture: undefined, depth_buffer: undefined };
+      const gpu_instance = super.copy_onto_graphics_card( context, initial_gpu_representation );
+
+      const gl = context;
+      if( !gpu_instance.framebuffer )
+        Object.assign( gpu_instance, { framebuffer: gl.createFramebuffer(), texture: gl.createTexture(),
+                                       depth_buffer: this.depth ? gl.createRenderbuffer() : undefined } );
+      gl.bindTexture  ( gl.TEXTURE_2D, gpu_instance.texture );
+      gl.texImage2D   ( gl.TEXTURE_2D, 0, gl.RGBA, this.width, this.height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null );
+                                          // Any size works in WebGL 1 without mipmaps, as long as it doesn't repeat:
+      gl.texParameteri( gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR );
+      gl.texParameteri( gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR );
+      gl.texParameteri( gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE );
+      gl.texParameteri( gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE );
+                                          // Leave whatever was being drawn into bound afterwards:
+      const previous = gl.getParameter( gl.FRAMEBUFFER_BINDING );
+      gl.bindFramebuffer( gl.FRAMEBUFFER, gpu_instance.framebuffer );
+      gl.framebufferTexture2D( gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, gpu_instance.texture, 0 );
+      if( gpu_instance.depth_buffer )
+        { gl.bindRenderbuffer( gl.RENDERBUFFER, gpu_instance.depth_buffer );
+          gl.renderbufferStorage( gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, this.width, this.height );
+          gl.framebufferRenderbuffer( gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, gpu_instance.depth_buffer );
+        }
+      gl.bindFramebuffer( gl.FRAMEBUFFER, previous );
+      Object.assign( gpu_instance, { width: this.width, height: this.height } );
+      return gpu_instance;
+    }
+  resize( width, height )
+    {                                     // resize():  Change the size, which takes effect the next time it's used.
+      Object.assign( this, { width, height } );
+    }
+  current_gpu_instance( context )
+    {                                     // current_gpu_instance():  The GPU's copy, sized to match this Framebuffer.
+      const gpu_instance = super.activate( context );
+      if( gpu_instance.width == this.width && gpu_instance.height == this.height )
+        return gpu_instance;
+      return this.copy_onto_graphics_card( context );
+    }
+  draw_into( context )
+    {                                     // draw_into():  Send all draws from now on into this Framebuffer, instead of onto
+                                          // the canvas, until something else is drawn into.
+      context.bindFramebuffer( context.FRAMEBUFFER, this.current_gpu_instance( context ).framebuffer );
+      context.viewport( 0, 0, this.width, this.height );
+    }
+  static draw_into_canvas( context )
+    {                                     // draw_into_canvas():  Send draws back to the canvas.
+      context.bindFramebuffer( context.FRAMEBUFFER, null );
+      context.viewport( 0, 0, context.canvas.width, context.canvas.height );
+    }
+  activate( context, texture_unit = 0 )
+    {                                     // activate(): Selects the image drawn into this Framebuffer on a texture unit, so
+                                          // the next shape draws using it, like a Texture.
+      const gpu_instance = this.current_gpu_instance( context );
+      context.activeTexture( context[ "TEXTURE" + texture_unit ] );
+      context.bindTexture( context.TEXTURE_2D, gpu_instance.texture );
+    }
+}
+
 const Program_State = tiny.Program_State =
 class Program_State extends Container
 {                                     // **Program_State** stores any values that affect how your whole scene is drawn, 
@@ -778,6 +1054,8 @@ class Webgl_Manager
                
       gl.clearColor.apply( gl, background_color );           // Tell the GPU which color to clear the canvas with each frame.
       gl.getExtension( "OES_element_index_uint" );           // Load an extension to allow shapes with more than 65535 vertices.
+                                                             // Load one for drawing many copies of a shape in one call:
+      this.instanced_arrays = gl.getExtension( "ANGLE_instanced_arrays" );
       gl.enable( gl.DEPTH_TEST );                            // Enable Z-Buffering test.
                         // Specify an interpolation method for blending "transparent" triangles over the existing pixels:
       gl.enable( gl.BLEND );